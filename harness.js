@@ -0,0 +1,155 @@
+/**
+ * King in the Corner - Headless Harness
+ *
+ * Runs the real server (signaling-server.js) inside the calling process on
+ * a free port, with every timer shortened, and hands out protocol clients
+ * (web/client.js) connected to it. Scripts use it to play out multi-player
+ * scenarios - a host leaving mid-countdown, a full room starting at once,
+ * a restart in the middle of a game, all in scenarios/ - in a second or
+ * two instead of minutes:
+ *
+ *   const harness = require('./harness.js');
+ *
+ *   harness.run(async h => {
+ *     const [host, guest] = await h.privateRoom(['Host', 'Guest']);
+ *     host.startGame();
+ *     await guest.next('countdown');
+ *     host.leaveRoom();
+ *     await guest.next('countdownCancelled');
+ *   });
+ *
+ * There is one server per process, so scenarios run one after another.
+ * A drain that completes shuts the server down the normal way, which
+ * exits the process.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const server = require('./signaling-server.js');
+const KingClient = require('./web/client.js');
+
+// ==================== CONFIGURATION ====================
+// Everything a scenario could wait on, in milliseconds instead of
+// seconds or minutes, and no per-IP caps since every client comes from
+// localhost. Private rooms may ask for a turn clock of a fraction of a
+// second (turnSeconds: 0.2)
+const FAST_CONFIG = {
+  READY_TIMEOUT: 2000,
+  ALONE_TIMEOUT: 2000,
+  TURN_TIMEOUT: 2000,
+  MIN_TURN_TIMEOUT: 50,
+  BOT_MOVE_DELAY: 5,
+  BOT_FILL_TIMEOUT: 1000,
+  COUNTDOWN_INTERVAL: 20,
+  QUEUE_GATHER_TIME: 200,
+  QUEUE_MATCH_INTERVAL: 50,
+  QUEUE_UPDATE_INTERVAL: 200,
+  ROUND_BREAK: 100,
+  REMATCH_VOTE_TIMEOUT: 500,
+  RECONNECT_GRACE: 1000,
+  DRAIN_CHECK_INTERVAL: 50,
+  MAX_CONNECTIONS_PER_IP: 1000,
+  MESSAGE_BURST: 1000,
+  MESSAGE_REFILL_MS: 1,
+  ROOM_CREATE_BURST: 1000,
+  BAN_THRESHOLD: 1000,
+  SNAPSHOT_ROOMS: false,
+  STATS_FILE: path.join(os.tmpdir(), `king-harness-stats-${process.pid}.json`)
+};
+
+const DEFAULT_TIMEOUT = 5000; // How long next() waits before a scenario fails
+
+// ==================== HARNESS ====================
+const harness = {
+  /**
+   * Start the server. Options:
+   * - config: CONFIG values on top of FAST_CONFIG
+   * - quiet: silence console.log while the server runs (default false);
+   *   scenarios print through h.log instead, which always gets through
+   */
+  async start({ config = {}, quiet = false } = {}) {
+    const overrides = { ...FAST_CONFIG, ...config };
+    const original = {};
+    Object.keys(overrides).forEach(key => {
+      original[key] = server.CONFIG[key];
+      server.CONFIG[key] = overrides[key];
+    });
+
+    const consoleLog = console.log;
+    const restore = () => {
+      Object.assign(server.CONFIG, original);
+      console.log = consoleLog;
+    };
+    if (quiet) console.log = () => {};
+
+    let port;
+    try {
+      port = await server.start(0);
+    } catch (err) {
+      restore();
+      throw err;
+    }
+    const url = `ws://127.0.0.1:${port}`;
+    const clients = [];
+
+    return {
+      port,
+      url,
+      state: server.state,
+      config: server.CONFIG,
+      log: consoleLog,
+
+      // A client whose requests are sent as soon as it connects
+      client() {
+        const client = KingClient.create(url, { WebSocket });
+        clients.push(client);
+        return client;
+      },
+
+      // A waiting private room: the first name hosts, the rest join.
+      // Resolves once everyone has seen the full room
+      async privateRoom(names, options = {}) {
+        const [host, ...guests] = names.map(() => this.client());
+        host.createPrivate(names[0], options);
+        const { roomId } = await host.next('roomCreated', undefined, DEFAULT_TIMEOUT);
+
+        for (const [i, guest] of guests.entries()) {
+          guest.joinPrivate(roomId, names[i + 1]);
+          await guest.next('roomUpdate', undefined, DEFAULT_TIMEOUT);
+        }
+        const everyone = [host, ...guests];
+        await Promise.all(everyone.map(client =>
+          client.latest.roomUpdate?.players.length === names.length ||
+          client.next('roomUpdate', data => data.players.length === names.length, DEFAULT_TIMEOUT)
+        ));
+        return everyone;
+      },
+
+      async stop() {
+        clients.forEach(client => client.close());
+        try {
+          await server.stop();
+          if (server.CONFIG.STATS_FILE === FAST_CONFIG.STATS_FILE) {
+            fs.rmSync(FAST_CONFIG.STATS_FILE, { force: true });
+          }
+        } finally {
+          restore();
+        }
+      }
+    };
+  },
+
+  // Start, run one scenario, and always stop again
+  async run(scenario, options) {
+    const h = await harness.start(options);
+    try {
+      return await scenario(h);
+    } finally {
+      await h.stop();
+    }
+  }
+};
+
+module.exports = { ...harness, FAST_CONFIG };
@@ -0,0 +1,33 @@
+/**
+ * Scenario: four players join the public queue and get a table at once.
+ *
+ * A full table doesn't wait out QUEUE_GATHER_TIME (set far beyond the
+ * scenario here), so the room forms on the next matchmaking pass and the
+ * game starts as soon as the countdown runs out.
+ *
+ *   node scenarios/full-room-starts.js
+ */
+
+const assert = require('assert');
+const harness = require('../harness.js');
+
+harness.run(async h => {
+  const players = ['Ann', 'Ben', 'Cat', 'Dan'].map(name => {
+    const client = h.client();
+    client.joinPublic(name);
+    return client;
+  });
+  const startedAt = Date.now();
+
+  const starts = await Promise.all(players.map(client => client.next('gameStart')));
+  const waited = Date.now() - startedAt;
+
+  const [roomId] = new Set(players.map(client => client.roomId));
+  assert.ok(players.every(client => client.roomId === roomId), 'everyone is at the same table');
+  assert.deepStrictEqual(starts.map(start => start.myPlayerIndex).sort(), [0, 1, 2, 3]);
+  assert.ok(waited < h.config.QUEUE_GATHER_TIME, `started after ${waited}ms`);
+  h.log(`✅ Full table ${roomId} started after ${waited}ms`);
+}, { config: { QUEUE_GATHER_TIME: 60000 }, quiet: true }).catch(err => {
+  console.error('❌ Scenario failed:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,52 @@
+/**
+ * Scenario: the host leaves while the start countdown is running.
+ *
+ * With two players left the countdown carries on under a new host and
+ * the game starts; with only one left it is called off.
+ *
+ *   node scenarios/host-leaves-countdown.js
+ */
+
+const assert = require('assert');
+const harness = require('../harness.js');
+
+// Long enough that the host is gone well before the countdown ends
+const config = { COUNTDOWN_INTERVAL: 100 };
+
+async function carriesOn() {
+  await harness.run(async h => {
+    const [host, second, third] = await h.privateRoom(['Host', 'Second', 'Third']);
+    host.startGame();
+    await second.next('countdown');
+    host.leaveRoom();
+
+    const hostChanged = await second.next('hostChanged');
+    assert.strictEqual(hostChanged.name, 'Second');
+    assert.strictEqual(hostChanged.isHost, true);
+
+    const [start] = await Promise.all([second.next('gameStart'), third.next('gameStart')]);
+    assert.deepStrictEqual(start.players.map(player => player.name), ['Second', 'Third']);
+    h.log('✅ Two players left: the countdown carried on and the game started');
+  }, { config, quiet: true });
+}
+
+async function callsOff() {
+  await harness.run(async h => {
+    const [host, guest] = await h.privateRoom(['Host', 'Guest']);
+    host.startGame();
+    await guest.next('countdown');
+    host.leaveRoom();
+
+    await guest.next('countdownCancelled');
+    const [room] = h.state.privateRooms.values();
+    assert.strictEqual(room.gameStarted, false);
+    h.log('✅ One player left: the countdown was cancelled');
+  }, { config, quiet: true });
+}
+
+carriesOn()
+  .then(callsOff)
+  .catch(err => {
+    console.error('❌ Scenario failed:', err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,85 @@
+/**
+ * Scenario: the server restarts in the middle of a game.
+ *
+ * Two players get a public table and the first one draws. Stopping the
+ * server saves the game to a snapshot, the next start seats it again,
+ * and the player whose turn it is resumes with their session token and
+ * carries on with a legal move. The table keeps its size and rematch
+ * count across the restart.
+ *
+ *   node scenarios/snapshot-restart.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const harness = require('../harness.js');
+const engine = require('../web/engine.js');
+
+const config = {
+  SNAPSHOT_ROOMS: true,
+  SNAPSHOT_FILE: path.join(os.tmpdir(), `king-scenario-snapshot-${process.pid}.json`),
+  TURN_TIMEOUT: 60000 // Nobody gets timed out while the server is down
+};
+
+async function main() {
+  const before = await harness.start({ config, quiet: true });
+  let saved;
+  try {
+    const players = ['Ann', 'Ben'].map(name => {
+      const client = before.client();
+      client.joinPublic(name, { tableSize: 2 });
+      return client;
+    });
+    const starts = await Promise.all(players.map(client => client.next('gameStart')));
+
+    const current = starts[0].view.currentPlayer;
+    const mover = players.find(client => client.playerIndex === current);
+    mover.draw();
+    await mover.next('gameAction', data => data.action.type === 'draw');
+
+    const room = before.state.privateRooms.get(mover.roomId);
+    saved = {
+      roomId: room.id,
+      tableSize: room.tableSize,
+      rematches: room.rematches || 0,
+      token: mover.sessionToken,
+      seat: current
+    };
+  } finally {
+    await before.stop();
+  }
+  assert.ok(fs.existsSync(config.SNAPSHOT_FILE), 'stopping saved a snapshot');
+
+  await harness.run(async h => {
+    const room = h.state.privateRooms.get(saved.roomId);
+    assert.ok(room, 'the game is back after the restart');
+    assert.strictEqual(room.tableSize, saved.tableSize);
+    assert.strictEqual(room.rematches || 0, saved.rematches);
+
+    const client = h.client();
+    client.resume(saved.token);
+    const resumed = await client.next('resumed');
+    assert.strictEqual(resumed.myPlayerIndex, saved.seat);
+    assert.strictEqual(resumed.view.currentPlayer, saved.seat);
+    assert.strictEqual(resumed.view.hasDrawn, true);
+
+    const { piles, hand, variant } = resumed.view;
+    const move = engine.getLegalMoves(piles, hand, variant).find(legal => legal.type === 'play');
+    if (move) {
+      client.play(move.card, move.pile);
+    } else {
+      client.endTurn();
+    }
+    const action = await client.next('gameAction');
+    assert.strictEqual(action.action.player, saved.seat);
+    assert.strictEqual(action.seq, resumed.seq + 1);
+    h.log(`✅ Resumed seat ${saved.seat} in ${saved.roomId} after a restart and played ${action.action.type}`);
+  }, { config, quiet: true });
+}
+
+main().catch(err => {
+  console.error('❌ Scenario failed:', err);
+  process.exitCode = 1;
+}).finally(() => fs.rmSync(config.SNAPSHOT_FILE, { force: true }));
@@ -2,11 +2,30 @@
  * King in the Corner - WebSocket Server
  *
  * Responsibilities:
- * - Room management (public matchmaking & private rooms)
- * - Player connection handling
- * - Game action relay (play, draw, end turn)
+ * - Room management (public matchmaking queue & private rooms)
+ * - Player connection handling, with a grace period to resume a game
+ *   after a dropped connection
+ * - Authoritative game state: every action is validated against the
+ *   shared rules engine (web/engine.js) before it is broadcast
  * - Countdown and game start coordination
+ * - Per-turn clock with automatic draw and end turn on timeout
+ * - Read-only spectators who see the public board but never a hand
+ * - Rate limited, escaped and filtered room chat with quick emotes
+ * - Game logs of finished games, served over HTTP at /games/:id
+ * - Per-player statistics in a local JSON file, with a leaderboard
+ * - House-rule variants chosen by the private room host
+ * - Multi-round matches with penalty scoring and a running scoreboard
+ * - Passing on an empty deck and ending stuck games as a stalemate
+ * - Schema-validated messages (web/protocol.js) with structured errors
+ * - Per-IP connection caps, message rate limits and temporary bans
+ * - Token-protected admin API and dashboard at /admin
+ * - Drain mode for deploys, with optional snapshots of running games
+ * - Prometheus metrics at /metrics
+ * - Serves the web client (web/) itself, so one process is a whole game
+ * - Computer opponents (private room seats and public room fill-ins)
  * - Automatic cleanup of stale rooms
+ * - start()/stop() exports so scripts can run the server in-process
+ *   (see harness.js)
  *
  * Architecture:
  * - Pure WebSocket relay (no WebRTC signaling)
@@ -16,52 +35,484 @@
 
 const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const engine = require('./web/engine.js');
+const protocol = require('./web/protocol.js');
 
 // ==================== CONFIGURATION ====================
 const CONFIG = {
   PORT: process.env.PORT || 3001,
   PING_INTERVAL: 30000,
+  CHECK_OUTGOING: process.env.NODE_ENV !== 'production', // Warn when we send off-schema messages
   MAX_PLAYERS: 4,
   MIN_PLAYERS: 2,
   READY_TIMEOUT: 600000, // 10 Minutes
-  ALONE_TIMEOUT: 300000 // 5 Minutes
+  COUNTDOWN_SECONDS: 5,
+  COUNTDOWN_INTERVAL: 1000, // One countdown tick
+  ALONE_TIMEOUT: 300000, // 5 Minutes
+  RECONNECT_GRACE: 60000, // 1 Minute to resume after a dropped connection
+  BOT_MOVE_DELAY: 900, // Pause between bot actions so humans can follow
+  BOT_FILL_TIMEOUT: 90000, // Queued players get bots after 1.5 Minutes without a match
+  BOT_FILL_LEVEL: 'medium',
+  BOT_NAMES: ['Ada', 'Bishop', 'Clover', 'Dot', 'Echo', 'Fig'],
+  TURN_TIMEOUT: 60000, // Default turn clock, private hosts can change it
+  MIN_TURN_TIMEOUT: 15000,
+  MAX_TURN_TIMEOUT: 300000,
+  MAX_TURN_TIMEOUTS: 2, // Consecutive timeouts before the policy kicks in
+  TIMEOUT_POLICIES: ['autopilot', 'remove'],
+  TIMEOUT_POLICY: 'autopilot',
+  MAX_SPECTATORS: 20,
+  QUEUE_GATHER_TIME: 10000, // Players happy with any table size wait this long for a fuller one
+  QUEUE_MATCH_INTERVAL: 1000,
+  QUEUE_UPDATE_INTERVAL: 5000,
+  QUEUE_WAIT_SAMPLES: 20, // Recent matches the wait estimate is based on
+  ROUND_BREAK: 10000, // Scoreboard pause between the rounds of a match
+  REMATCH_VOTE_TIMEOUT: 60000, // Players who haven't voted for a rematch by then are dropped
+  MAX_FINISHED_GAMES: 200, // Oldest game logs are dropped past this
+  STATS_FILE: process.env.STATS_FILE || path.join(__dirname, 'data', 'stats.json'),
+  STATS_SAVE_DELAY: 5000, // Batch stat writes
+  LEADERBOARD_SIZE: 20,
+  LEADERBOARD_MAX: 100,
+  CLEANUP_INTERVAL: 60000,
+  MAX_PAYLOAD: 16384, // Frames above this are refused by the socket itself
+  MAX_CONNECTIONS_PER_IP: parseInt(process.env.MAX_CONNECTIONS_PER_IP, 10) || 10,
+  MESSAGE_BURST: 30, // Token bucket per connection
+  MESSAGE_REFILL_MS: 100, // One message token back every 100ms (10/s)
+  ROOM_CREATE_BURST: 5, // Token bucket per IP for new private rooms
+  ROOM_CREATE_REFILL_MS: 60000,
+  BAN_THRESHOLD: 20, // Violations within the window that earn a ban
+  BAN_WINDOW: 60000,
+  BAN_DURATION: parseInt(process.env.BAN_DURATION, 10) || 600000, // 10 Minutes
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '', // The admin API stays off without one
+  ADMIN_DASHBOARD: path.join(__dirname, 'web', 'admin.html'),
+  SERVE_WEB: process.env.SERVE_WEB !== 'false', // Off when something else hosts the page
+  WEB_ROOT: path.join(__dirname, 'web'),
+  STATIC_MAX_AGE: 86400, // Seconds browsers may keep the favicon and images without asking
+  DRAIN_TIMEOUT: parseInt(process.env.DRAIN_TIMEOUT, 10) || 900000, // Longest wait for games to finish (15 Minutes)
+  DRAIN_CHECK_INTERVAL: 5000,
+  SNAPSHOT_ROOMS: process.env.SNAPSHOT_ROOMS === 'true', // Save running games on shutdown, reload at startup
+  SNAPSHOT_FILE: process.env.SNAPSHOT_FILE || path.join(__dirname, 'data', 'snapshot.json'),
+  SNAPSHOT_MAX_AGE: 600000, // Older snapshots are ignored
+  SNAPSHOT_RESUME_GRACE: 180000, // Everyone reconnects at once after a restart
+  CHAT_MAX_LENGTH: protocol.LIMITS.CHAT_MAX_LENGTH,
+  CHAT_RATE_LIMIT: 5, // Messages allowed per window
+  CHAT_RATE_WINDOW: 10000,
+  CHAT_BLOCKED_WORDS: (process.env.CHAT_BLOCKED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean),
+  CHAT_EMOTES: {
+    nice: 'Nice!',
+    yourTurn: 'Your turn!',
+    gg: 'GG'
+  }
 };
 
 // ==================== STATE ====================
 const state = {
   publicQueue: [],
   privateRooms: new Map(),
-  connections: new Map()
+  connections: new Map(),
+  sessions: new Map(), // token -> { ws }
+  finishedGames: new Map(), // gameId -> game log
+  ipConnections: new Map(), // ip -> open socket count
+  roomBuckets: new Map(), // ip -> room creation bucket
+  violationTimes: new Map(), // ip -> recent violation timestamps
+  bans: new Map(), // ip -> banned until
+  draining: null // { startedAt, deadline } once a drain has begun
 };
 
 // ==================== SERVER SETUP ====================
 const server = http.createServer();
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, maxPayload: CONFIG.MAX_PAYLOAD });
 
 console.log('🌐 WebSocket server (ws://) - TLS handled by Cloudflared');
 
+// ==================== PLAYER STATS ====================
+// Keyed by the random player id each browser keeps in localStorage.
+// Everything lives in memory and is written back to one JSON file
+const stats = {
+  players: {},
+  saveTimer: null,
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(CONFIG.STATS_FILE, 'utf8'));
+      this.players = data.players || {};
+      console.log(`📊 Loaded stats for ${Object.keys(this.players).length} players`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('❌ Could not read stats file:', err.message);
+    }
+  },
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), CONFIG.STATS_SAVE_DELAY);
+  },
+
+  // Write to a temp file first so a crash never leaves a half-written file
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(CONFIG.STATS_FILE), { recursive: true });
+      const tmpFile = `${CONFIG.STATS_FILE}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, players: this.players }));
+      fs.renameSync(tmpFile, CONFIG.STATS_FILE);
+    } catch (err) {
+      console.error('❌ Could not save stats:', err.message);
+    }
+  },
+
+  isPlayerId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9-]{8,64}$/.test(id);
+  },
+
+  // results: [{ playerId, name, won, cardsLeft }] for every human seat
+  recordGame(results) {
+    results.forEach(({ playerId, name, won, cardsLeft }) => {
+      const player = this.players[playerId] || (this.players[playerId] = {
+        gamesPlayed: 0,
+        wins: 0,
+        totalCardsLeft: 0,
+        currentStreak: 0,
+        longestStreak: 0
+      });
+
+      player.name = name;
+      player.gamesPlayed++;
+      player.totalCardsLeft += cardsLeft;
+      player.lastPlayed = Date.now();
+      if (won) {
+        player.wins++;
+        player.currentStreak++;
+        player.longestStreak = Math.max(player.longestStreak, player.currentStreak);
+      } else {
+        player.currentStreak = 0;
+      }
+    });
+    this.scheduleSave();
+  },
+
+  getSummary(playerId) {
+    const player = this.players[playerId];
+    if (!player) return null;
+
+    return {
+      name: player.name,
+      gamesPlayed: player.gamesPlayed,
+      wins: player.wins,
+      losses: player.gamesPlayed - player.wins,
+      winRate: Math.round((player.wins / player.gamesPlayed) * 100),
+      averageCardsLeft: Math.round((player.totalCardsLeft / player.gamesPlayed) * 10) / 10,
+      currentStreak: player.currentStreak,
+      longestStreak: player.longestStreak
+    };
+  },
+
+  // Most wins first, ties broken by win rate. Player ids are never exposed
+  getLeaderboard(limit = CONFIG.LEADERBOARD_SIZE) {
+    return Object.keys(this.players)
+      .map(id => this.getSummary(id))
+      .sort((a, b) => b.wins - a.wins || b.winRate - a.winRate || a.gamesPlayed - b.gamesPlayed)
+      .slice(0, limit)
+      .map((summary, index) => ({ rank: index + 1, ...summary }));
+  }
+};
+
+// ==================== ABUSE LIMITS ====================
+// Token buckets for message and room creation rates, a cap on sockets
+// per IP, and a temporary ban for IPs that keep breaking the rules
+const limits = {
+  violations: {}, // kind -> count since start, shown on /status
+
+  count(kind) {
+    limits.violations[kind] = (limits.violations[kind] || 0) + 1;
+  },
+
+  createBucket(capacity, refillMs) {
+    return { capacity, refillMs, tokens: capacity, updatedAt: Date.now() };
+  },
+
+  take(bucket) {
+    const now = Date.now();
+    const refilled = Math.floor((now - bucket.updatedAt) / bucket.refillMs);
+    if (refilled > 0) {
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + refilled);
+      bucket.updatedAt += refilled * bucket.refillMs;
+    }
+    if (bucket.tokens >= bucket.capacity) bucket.updatedAt = now;
+    if (bucket.tokens === 0) return false;
+
+    bucket.tokens--;
+    return true;
+  },
+
+  isBanned(ip) {
+    const until = state.bans.get(ip);
+    if (!until) return false;
+    if (until > Date.now()) return true;
+    state.bans.delete(ip);
+    return false;
+  },
+
+  // Accept a new socket from this IP, or refuse it with an error code
+  admit(ip) {
+    if (limits.isBanned(ip)) return 'BANNED';
+    if ((state.ipConnections.get(ip) || 0) >= CONFIG.MAX_CONNECTIONS_PER_IP) return 'TOO_MANY_CONNECTIONS';
+
+    state.ipConnections.set(ip, (state.ipConnections.get(ip) || 0) + 1);
+    return null;
+  },
+
+  release(ip) {
+    const count = (state.ipConnections.get(ip) || 0) - 1;
+    if (count > 0) {
+      state.ipConnections.set(ip, count);
+    } else {
+      state.ipConnections.delete(ip);
+    }
+  },
+
+  allowMessage(connData) {
+    if (!connData.messageBucket) {
+      connData.messageBucket = limits.createBucket(CONFIG.MESSAGE_BURST, CONFIG.MESSAGE_REFILL_MS);
+    }
+    return limits.take(connData.messageBucket);
+  },
+
+  allowRoomCreation(ip) {
+    if (!state.roomBuckets.has(ip)) {
+      state.roomBuckets.set(ip, limits.createBucket(CONFIG.ROOM_CREATE_BURST, CONFIG.ROOM_CREATE_REFILL_MS));
+    }
+    return limits.take(state.roomBuckets.get(ip));
+  },
+
+  /**
+   * Count a violation against the IP and tell the client what happened.
+   * Returns true when this one earned a ban, in which case the socket is
+   * already being closed.
+   */
+  recordViolation(ws, ip, kind, code, details = {}) {
+    limits.count(kind);
+    utils.sendError(ws, code, details);
+
+    const now = Date.now();
+    const recent = (state.violationTimes.get(ip) || []).filter(t => now - t < CONFIG.BAN_WINDOW);
+    recent.push(now);
+    state.violationTimes.set(ip, recent);
+    if (recent.length < CONFIG.BAN_THRESHOLD) return false;
+
+    state.bans.set(ip, now + CONFIG.BAN_DURATION);
+    state.violationTimes.delete(ip);
+    limits.count('banned');
+    console.log(`⛔ Banned ${ip} for ${CONFIG.BAN_DURATION / 1000}s after ${recent.length} violations`);
+
+    utils.sendError(ws, 'BANNED');
+    ws.close(1008, 'Banned');
+    return true;
+  },
+
+  // Forget expired bans, idle buckets and old violations
+  prune() {
+    const now = Date.now();
+    for (const [ip, until] of state.bans.entries()) {
+      if (until <= now) state.bans.delete(ip);
+    }
+    for (const [ip, times] of state.violationTimes.entries()) {
+      if (times.every(t => now - t >= CONFIG.BAN_WINDOW)) state.violationTimes.delete(ip);
+    }
+    for (const [ip, bucket] of state.roomBuckets.entries()) {
+      if (now - bucket.updatedAt > bucket.capacity * bucket.refillMs) state.roomBuckets.delete(ip);
+    }
+  },
+
+  getStatus() {
+    return {
+      violations: { ...limits.violations },
+      activeBans: [...state.bans.values()].filter(until => until > Date.now()).length
+    };
+  }
+};
+
+// ==================== METRICS ====================
+// Prometheus text format at /metrics. Counters and histograms are bumped
+// where things happen; gauges are read from the state on each scrape
+const labelKey = (labels = {}) => {
+  const escape = value => String(value).replace(/[\\"\n]/g, c => (c === '\n' ? '\\n' : `\\${c}`));
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escape(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+// Label sets that should show up as 0 before anything happens
+const counter = (help, seeds = [{}]) => ({ help, values: new Map(seeds.map(labels => [labelKey(labels), 0])) });
+const histogram = (help, buckets) => ({ help, buckets, counts: buckets.map(() => 0), sum: 0, count: 0 });
+
+const metrics = {
+  counters: {
+    connections_total: counter('WebSocket connections accepted'),
+    messages_total: counter('Valid client messages received, by type', []),
+    games_started_total: counter('Games (and match rounds) started', [{ room: 'public' }, { room: 'private' }]),
+    games_finished_total: counter('Games that reached a result', [{ outcome: 'win' }, { outcome: 'stalemate' }]),
+    rematches_total: counter('Rematches started after every player voted'),
+    kicks_total: counter('Players removed from a room, by reason', [
+      { reason: 'alone' }, { reason: 'not ready' }, { reason: 'timeout' }, { reason: 'admin' }, { reason: 'host' },
+      { reason: 'rematch' }
+    ]),
+    play_disconnects_total: counter('Players whose connection dropped during a game'),
+    resyncs_total: counter('Full game states sent to clients whose copy had drifted'),
+    public_bot_fills_total: counter('Public rooms that were filled with bots after waiting')
+  },
+  histograms: {
+    time_to_match_seconds: histogram('Wait from joining the public queue to the game starting',
+      [5, 15, 30, 60, 90, 120, 300, 600]),
+    game_duration_seconds: histogram('Length of games that reached a result',
+      [60, 180, 300, 600, 900, 1800, 3600]),
+    turn_duration_seconds: histogram('Length of human turns',
+      [2, 5, 10, 20, 30, 60, 120, 300])
+  },
+
+  inc(name, labels = {}) {
+    const values = metrics.counters[name].values;
+    const key = labelKey(labels);
+    values.set(key, (values.get(key) || 0) + 1);
+  },
+
+  observe(name, seconds) {
+    const h = metrics.histograms[name];
+    const bucket = h.buckets.findIndex(le => seconds <= le);
+    if (bucket !== -1) h.counts[bucket]++;
+    h.sum += seconds;
+    h.count++;
+  },
+
+  render() {
+    const lines = [];
+    const describe = (name, type, help) => {
+      lines.push(`# HELP kitc_${name} ${help}`, `# TYPE kitc_${name} ${type}`);
+    };
+
+    Object.entries(metrics.counters).forEach(([name, c]) => {
+      describe(name, 'counter', c.help);
+      c.values.forEach((value, key) => lines.push(`kitc_${name}${key} ${value}`));
+    });
+
+    // Bucket counts are stored per bucket and written out cumulatively
+    Object.entries(metrics.histograms).forEach(([name, h]) => {
+      describe(name, 'histogram', h.help);
+      let cumulative = 0;
+      h.buckets.forEach((le, index) => {
+        cumulative += h.counts[index];
+        lines.push(`kitc_${name}_bucket{le="${le}"} ${cumulative}`);
+      });
+      lines.push(`kitc_${name}_bucket{le="+Inf"} ${h.count}`, `kitc_${name}_sum ${h.sum}`, `kitc_${name}_count ${h.count}`);
+    });
+
+    // A match between rounds is still being played; a finished game
+    // waits on rematch votes
+    const phases = { waiting: 0, countdown: 0, playing: 0, rematch: 0 };
+    const gaugePhase = { roundBreak: 'playing', finished: 'rematch' };
+    state.privateRooms.forEach(room => {
+      const phase = utils.getRoomPhase(room);
+      phases[gaugePhase[phase] || phase]++;
+    });
+    describe('rooms', 'gauge', 'Rooms by phase');
+    Object.entries(phases).forEach(([phase, count]) => lines.push(`kitc_rooms${labelKey({ phase })} ${count}`));
+    describe('connections', 'gauge', 'Open WebSocket connections');
+    lines.push(`kitc_connections ${wss.clients.size}`);
+
+    return `${lines.join('\n')}\n`;
+  }
+};
+
 // ==================== UTILITY FUNCTIONS ====================
 const utils = {
   generateRoomId() {
     return Math.random().toString(36).substring(2, 8).toUpperCase();
   },
 
+  getRoomPhase(room) {
+    if (!room.gameStarted) return room.countdownInterval ? 'countdown' : 'waiting';
+    if (!room.game || room.game.winner === null) return 'playing';
+    return utils.isMatchRunning(room) ? 'roundBreak' : 'finished';
+  },
+
   sendToClient(ws, data) {
+    if (CONFIG.CHECK_OUTGOING) {
+      const problem = protocol.validate('server', data);
+      if (problem) console.warn(`⚠️  Outgoing ${data.type} does not match the protocol: ${problem.message}`);
+    }
     if (ws.readyState === WebSocket.OPEN) {
       ws.send(JSON.stringify(data));
     }
   },
 
+  sendError(ws, code, details = {}) {
+    utils.sendToClient(ws, protocol.error(code, details));
+  },
+
+  sendJson(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  },
+
+  sendToSpectators(room, data) {
+    room.spectators.forEach(spectator => utils.sendToClient(spectator, data));
+  },
+
+  // Everyone at the table: players and spectators
+  broadcastToRoom(room, data, except = null) {
+    room.players.forEach(player => {
+      if (player !== except) utils.sendToClient(player, data);
+    });
+    utils.sendToSpectators(room, data);
+  },
+
+  stopSpectating(ws, connData) {
+    const room = state.privateRooms.get(connData.roomId);
+    if (room) {
+      room.spectators.delete(ws);
+      utils.broadcastSpectatorCount(room);
+    }
+  },
+
+  // Leaving a room doesn't end the connection: the socket keeps its hello
+  // and rate limit, and may queue, create or join again
+  forgetRoom(connData) {
+    clearTimeout(connData.readyTimeout);
+    connData.roomId = null;
+    connData.spectating = false;
+    connData.sessionToken = null;
+    connData.readyTimeout = null;
+  },
+
   cleanupConnection(ws) {
     const connData = state.connections.get(ws);
     if (!connData) return;
 
     const { roomId } = connData;
 
+    // Spectators hold no seat, so there is nothing else to clean up
+    if (connData.spectating) {
+      utils.stopSpectating(ws, connData);
+      state.connections.delete(ws);
+      return;
+    }
+
     // Clear any player timeouts
     if (connData.readyTimeout) {
       clearTimeout(connData.readyTimeout);
     }
+    if (connData.graceTimeout) {
+      clearTimeout(connData.graceTimeout);
+    }
+    if (connData.sessionToken) {
+      state.sessions.delete(connData.sessionToken);
+    }
 
     // Remove from public queue
     const queueIndex = state.publicQueue.indexOf(ws);
@@ -74,11 +525,12 @@ const utils = {
     if (roomId) {
       const room = state.privateRooms.get(roomId);
       if (room) {
-        // Find player index before removing
-        const playerIndex = room.players.indexOf(ws);
+        // Find the player's seat before removing
+        const playerIndex = room.seats ? room.seats.indexOf(ws) : room.players.indexOf(ws);
 
         // Remove player from room
         room.players = room.players.filter(p => p !== ws);
+        room.readyPlayers.delete(ws);
 
         // Check if remaining player is now alone
         if (room.players.length === 1 && !room.gameStarted) {
@@ -109,20 +561,28 @@ const utils = {
             }
           }
         });
+        if (room.gameStarted && playerIndex !== -1) {
+          utils.sendToSpectators(room, {
+            type: 'playerLeft',
+            playerIndex: playerIndex,
+            playersRemaining: room.players.length
+          });
+        }
 
-        // Delete room if empty or game hasn't started
-        if (room.players.length === 0 || !room.gameStarted) {
-          if (room.countdownInterval) {
-            clearInterval(room.countdownInterval);
-          }
-          if (room.startTimeout) {
-            clearTimeout(room.startTimeout);
-          }
-          if (room.aloneTimeout) {
-            clearTimeout(room.aloneTimeout);
-          }
-          state.privateRooms.delete(roomId);
+        // Pass the turn on if the departed player was holding it
+        if (room.gameStarted) {
+          utils.removeFromGame(room, ws);
+        }
+
+        // Delete room if only bots are left. A public table that falls
+        // apart before starting sends the others back in line, while a
+        // private room carries on under a new host
+        if (!utils.hasHumans(room) || (!room.isPrivate && !room.gameStarted)) {
+          if (!room.isPrivate && !room.gameStarted) matchmaking.requeue(room);
+          utils.deleteRoom(roomId, room);
           console.log(`🗑️  Room ${roomId} cleaned up`);
+        } else {
+          utils.settleRoom(roomId, room, ws);
         }
       }
     }
@@ -131,24 +591,287 @@ const utils = {
   },
 
 
+  clearRoomTimers(room) {
+    if (room.countdownInterval) clearInterval(room.countdownInterval);
+    if (room.aloneTimeout) clearTimeout(room.aloneTimeout);
+    if (room.botTimeout) clearTimeout(room.botTimeout);
+    if (room.turnTimer) clearTimeout(room.turnTimer);
+    if (room.roundTimeout) clearTimeout(room.roundTimeout);
+    if (room.rematchTimeout) clearTimeout(room.rematchTimeout);
+  },
+
+  deleteRoom(roomId, room) {
+    utils.clearRoomTimers(room);
+    room.players.forEach(player => {
+      if (player.isBot) state.connections.delete(player);
+    });
+    room.spectators.forEach(spectator => {
+      const connData = state.connections.get(spectator);
+      if (connData) connData.roomId = null;
+      utils.sendToClient(spectator, { type: 'kicked', reason: 'The room has closed' });
+    });
+    state.privateRooms.delete(roomId);
+  },
+
+  hasHumans(room) {
+    return room.players.some(p => !p.isBot);
+  },
+
+  // ---------- Bots ----------
+  // A bot sits in room.players like a socket that is always open and
+  // ignores everything sent to it, so the room code needs no special cases
+  addBot(roomId, room, level) {
+    const takenNames = room.players.map(p => state.connections.get(p)?.botName);
+    const botName = CONFIG.BOT_NAMES.find(name => !takenNames.includes(name)) || 'Bot';
+    const bot = utils.createBot(roomId, level, botName);
+
+    room.players.push(bot);
+    room.readyPlayers.add(bot);
+
+    // A bot counts as company
+    if (room.aloneTimeout) {
+      clearTimeout(room.aloneTimeout);
+      room.aloneTimeout = null;
+    }
+
+    console.log(`🤖 Added ${level} bot ${botName} to room ${roomId}`);
+    return bot;
+  },
+
+  createBot(roomId, level, botName) {
+    const label = level.charAt(0).toUpperCase() + level.slice(1);
+    const bot = {
+      isBot: true,
+      botLevel: level,
+      readyState: WebSocket.OPEN,
+      send() {},
+      close() {},
+      terminate() {}
+    };
+
+    state.connections.set(bot, {
+      roomId,
+      botName,
+      displayName: `🤖 ${botName} (${label})`,
+      connectedAt: Date.now()
+    });
+    return bot;
+  },
+
+  isComputerSeat(room, seat) {
+    return !!room.seats[seat]?.isBot || room.autopilot.has(seat);
+  },
+
+  // Play the current seat's turn one action at a time if it's a bot or a
+  // player who has been put on auto-pilot
+  scheduleBotTurn(room) {
+    const game = room.game;
+    if (!game || game.winner !== null || room.botTimeout) return;
+    if (!utils.isComputerSeat(room, game.currentPlayer)) return;
+
+    room.botTimeout = setTimeout(() => {
+      room.botTimeout = null;
+      if (room.game !== game || !state.privateRooms.has(room.id)) return;
+      if (!utils.isComputerSeat(room, game.currentPlayer)) return;
+
+      const player = room.seats[game.currentPlayer];
+      const action = engine.chooseBotAction(game, game.currentPlayer, player.botLevel || CONFIG.BOT_FILL_LEVEL);
+      const result = utils.processAction(room, player, action);
+      if (result.error) {
+        console.error(`🤖 Bot ${action.type} rejected in room ${room.id}: ${result.error}`);
+      }
+    }, CONFIG.BOT_MOVE_DELAY);
+  },
+
+  // ---------- Turn Clock ----------
+  startTurnClock(room) {
+    if (room.turnTimer) {
+      clearTimeout(room.turnTimer);
+      room.turnTimer = null;
+    }
+    room.turnDeadline = null;
+
+    const game = room.game;
+    if (!game || game.winner !== null || !room.turnTimeout) return;
+    if (!state.privateRooms.has(room.id)) return;
+
+    // Computer seats play on their own
+    if (utils.isComputerSeat(room, game.currentPlayer)) return;
+
+    room.turnDeadline = Date.now() + room.turnTimeout;
+    room.turnTimer = setTimeout(() => utils.handleTurnTimeout(room, game), room.turnTimeout);
+
+    utils.broadcastToRoom(room, {
+      type: 'turnTimer',
+      player: game.currentPlayer,
+      durationMs: room.turnTimeout,
+      remainingMs: room.turnTimeout
+    });
+  },
+
+  getTurnClock(room) {
+    if (!room.turnDeadline) return null;
+    return {
+      player: room.game.currentPlayer,
+      durationMs: room.turnTimeout,
+      remainingMs: Math.max(0, room.turnDeadline - Date.now())
+    };
+  },
+
+  // Out of time: make the mandatory draw, then end the turn
+  handleTurnTimeout(room, game) {
+    room.turnTimer = null;
+    if (room.game !== game || game.winner !== null || !state.privateRooms.has(room.id)) return;
+
+    const seat = game.currentPlayer;
+    const player = room.seats[seat];
+    const pData = state.connections.get(player);
+
+    if (engine.mustDraw(game)) {
+      utils.processAction(room, player, { type: 'draw' });
+      if (game.winner !== null) return;
+    }
+
+    const timeoutAction = engine.forceEndTurn(game);
+    console.log(`⏰ ${pData?.displayName || 'Player'} timed out in room ${room.id}`);
+    utils.recordAction(room, timeoutAction);
+    utils.broadcastGameAction(room, timeoutAction);
+    if (utils.checkStalemate(room)) return;
+
+    room.turnTimeouts[seat] = (room.turnTimeouts[seat] || 0) + 1;
+    if (room.turnTimeouts[seat] >= CONFIG.MAX_TURN_TIMEOUTS) {
+      utils.applyTimeoutPolicy(room, seat);
+    }
+
+    utils.startTurnClock(room);
+    utils.scheduleBotTurn(room);
+  },
+
+  applyTimeoutPolicy(room, seat) {
+    const player = room.seats[seat];
+    room.turnTimeouts[seat] = 0;
+
+    if (room.timeoutPolicy === 'remove') {
+      console.log(`⏰ Removing seat ${seat} from room ${room.id} after repeated timeouts`);
+      metrics.inc('kicks_total', { reason: 'timeout' });
+      utils.sendToClient(player, { type: 'kicked', reason: 'Removed for running out of time' });
+      utils.cleanupConnection(player);
+      if (player.readyState === WebSocket.OPEN) {
+        player.close();
+      }
+      return;
+    }
+
+    console.log(`🤖 Seat ${seat} in room ${room.id} is now on auto-pilot`);
+    room.autopilot.add(seat);
+    utils.broadcastToRoom(room, { type: 'autopilot', playerIndex: seat, enabled: true });
+  },
+
+  // Any action from the player themselves hands control back
+  releaseAutopilot(room, seat) {
+    if (!room.autopilot.delete(seat)) return;
+
+    utils.broadcastToRoom(room, { type: 'autopilot', playerIndex: seat, enabled: false });
+    if (room.game.currentPlayer === seat) {
+      utils.startTurnClock(room);
+    }
+  },
+
+  issueSession(ws, roomId) {
+    const connData = state.connections.get(ws);
+    if (!connData) return;
+
+    const token = crypto.randomBytes(16).toString('hex');
+    connData.sessionToken = token;
+    state.sessions.set(token, { ws });
+
+    utils.sendToClient(ws, { type: 'session', token, roomId });
+  },
+
+  // Keep a dropped player's seat so they can resume; returns false when
+  // there is no running game to come back to
+  holdSeat(ws) {
+    const connData = state.connections.get(ws);
+    if (!connData?.sessionToken || !connData.roomId) return false;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.game || (room.game.winner !== null && !utils.isMatchRunning(room))) return false;
+
+    const seat = room.seats.indexOf(ws);
+    if (seat === -1 || room.game.departed.includes(seat)) return false;
+
+    connData.graceTimeout = setTimeout(() => {
+      console.log(`⌛ ${connData.displayName || 'Player'} did not reconnect to room ${connData.roomId}`);
+      utils.cleanupConnection(ws);
+    }, CONFIG.RECONNECT_GRACE);
+
+    console.log(`🔌 Holding seat ${seat} in room ${connData.roomId} for ${CONFIG.RECONNECT_GRACE / 1000}s`);
+
+    utils.broadcastToRoom(room, {
+      type: 'playerReconnecting',
+      playerIndex: seat,
+      graceMs: CONFIG.RECONNECT_GRACE
+    }, ws);
+    return true;
+  },
+
+  isSeatHeld(ws) {
+    return !!state.connections.get(ws)?.graceTimeout;
+  },
+
+  // Point every reference to a player's old socket at their new one
+  replaceSocket(room, oldWs, newWs) {
+    const swap = p => (p === oldWs ? newWs : p);
+    room.players = room.players.map(swap);
+    if (room.seats) room.seats = room.seats.map(swap);
+    if (room.host === oldWs) room.host = newWs;
+    room.matchState?.entries.forEach(entry => {
+      entry.player = swap(entry.player);
+    });
+
+    [room.readyPlayers, room.rematchVotes, room.muted].forEach(set => {
+      if (set?.has(oldWs)) {
+        set.delete(oldWs);
+        set.add(newWs);
+      }
+    });
+  },
+
+  getSeatList(room) {
+    return room.seats.map((p, index) => {
+      const pData = state.connections.get(p);
+      return {
+        name: pData?.displayName || `Player ${index + 1}`,
+        id: index,
+        index
+      };
+    });
+  },
+
   startRoomCountdown(roomId, room) {
+    if (room.countdownInterval) return;
+
+    // Waiting rooms stay open during a drain, but no new game begins
+    if (state.draining) {
+      utils.broadcastToRoom(room, protocol.error('SERVER_DRAINING'));
+      return;
+    }
     console.log(`⏱️  Starting countdown for room ${roomId}`);
 
-    let countdown = 5;
+    let countdown = CONFIG.COUNTDOWN_SECONDS;
     const countdownInterval = setInterval(() => {
       if (countdown > 0) {
-        room.players.forEach(player => {
-          utils.sendToClient(player, {
-            type: 'countdown',
-            countdown
-          });
+        utils.broadcastToRoom(room, {
+          type: 'countdown',
+          countdown
         });
         countdown--;
       } else {
         clearInterval(countdownInterval);
+        room.countdownInterval = null;
         utils.startGame(roomId, room);
       }
-    }, 1000);
+    }, CONFIG.COUNTDOWN_INTERVAL);
 
     room.countdownInterval = countdownInterval;
   },
@@ -156,6 +879,26 @@ const utils = {
   startGame(roomId, room) {
     room.gameStarted = true;
 
+    // Seats are fixed for the whole game. The server shuffles and deals,
+    // so no client ever sees the deck or an opponent's hand
+    room.seats = [...room.players];
+    room.seatIds = room.seats.map(p => state.connections.get(p)?.playerId || null);
+    if (room.match.mode !== 'single' && !utils.isMatchRunning(room)) {
+      utils.startMatch(room);
+    }
+    // The first player moves one seat along each rematch and each round
+    // of a match
+    const firstPlayer = (room.rematches || 0) + (room.matchState ? room.matchState.history.length : 0);
+    room.game = engine.createGame(
+      engine.createDeck(room.variant.decks),
+      room.seats.length,
+      room.variant,
+      firstPlayer
+    );
+    room.actionSeq = 0;
+    room.autopilot = new Set();
+    room.turnTimeouts = [];
+
     // Clear all timeouts when game starts
     if (room.aloneTimeout) {
       clearTimeout(room.aloneTimeout);
@@ -169,66 +912,572 @@ const utils = {
       }
     });
 
-    const playersList = room.players.map((p, index) => {
-      const pData = state.connections.get(p);
-      return {
-        name: pData?.displayName || `Player ${index + 1}`,
-        id: p,
-        index
-      };
+    const playersList = utils.getSeatList(room);
+    room.gameLog = engine.createLog(room.game, {
+      id: crypto.randomBytes(8).toString('hex'),
+      roomId,
+      players: playersList.map(p => p.name)
     });
 
     console.log(`🎮 Starting game in room ${roomId} with ${room.players.length} players`);
+    metrics.inc('games_started_total', { room: room.isPrivate ? 'private' : 'public' });
+    room.turnStartedAt = Date.now();
+    room.players.forEach(player => {
+      const pData = state.connections.get(player);
+      if (!room.isPrivate && pData?.queuedAt) {
+        metrics.observe('time_to_match_seconds', (room.turnStartedAt - pData.queuedAt) / 1000);
+        pData.queuedAt = null;
+      }
+    });
 
     room.players.forEach((player, index) => {
       utils.sendToClient(player, {
         type: 'gameStart',
         roomId,
         players: playersList,
-        myPlayerIndex: index
+        myPlayerIndex: index,
+        view: engine.getPlayerView(room.game, index),
+        seq: room.actionSeq,
+        match: utils.getMatchSummary(room)
       });
     });
+    utils.sendToSpectators(room, {
+      type: 'gameStart',
+      roomId,
+      players: playersList,
+      myPlayerIndex: -1,
+      view: engine.getPlayerView(room.game, null),
+      seq: room.actionSeq,
+      match: utils.getMatchSummary(room)
+    });
+
+    utils.startTurnClock(room);
+    utils.scheduleBotTurn(room);
   },
 
-  broadcastRoomUpdate(roomId, room) {
-    const playersList = room.players.map(p => {
-      const pData = state.connections.get(p);
-      return {
-        name: pData?.displayName || 'Player',
-        id: p,
-        ready: room.readyPlayers.has(p)
-      };
-    });
+  // Validate one action against the server's copy of the game and
+  // broadcast it. Humans and bots both come through here
+  processAction(room, player, action) {
+    const seat = room.seats.indexOf(player);
+    const result = engine.applyAction(room.game, seat, action);
+    if (result.error) {
+      if (result.penalize) utils.applyPenalty(room, seat);
+      return result;
+    }
+
+    utils.recordAction(room, result.action, result.card);
+    utils.broadcastGameAction(room, result.action, utils.getPrivateDetails(result));
+
+    if (result.winner !== undefined) {
+      const pData = state.connections.get(player);
+      console.log(`🏆 ${pData?.displayName || 'Player'} won in room ${room.id}`);
+      utils.archiveGame(room, result.winner);
+      utils.finishRound(room, result.winner);
+    } else {
+      utils.checkStalemate(room);
+    }
+
+    if (result.action.type === 'endTurn' || room.game.winner !== null) {
+      utils.startTurnClock(room);
+    }
+    utils.scheduleBotTurn(room);
+    return result;
+  },
+
+  // What only the acting player is told: the card it drew, or where a
+  // card it took back goes in its hand
+  getPrivateDetails(result) {
+    if (result.card) return { card: result.card };
+    if (result.index !== undefined) return { move: { ...result.action.move, index: result.index } };
+    return null;
+  },
+
+  // Private details (see getPrivateDetails) go to the acting player only.
+  // Each action is numbered and carries a hash of the board it leaves
+  // behind, so clients can tell when their copy has drifted and ask for
+  // a resync
+  broadcastGameAction(room, action, details = null) {
+    room.actionSeq = (room.actionSeq || 0) + 1;
+    const seq = room.actionSeq;
+    const hash = engine.hashView(engine.getPlayerView(room.game, null));
 
     room.players.forEach(player => {
-      const isHost = room.host === player;
-      utils.sendToClient(player, {
-        type: 'roomUpdate',
-        roomId,
-        players: playersList,
-        isPrivate: room.isPrivate,
-        isHost: isHost,
-        minPlayers: CONFIG.MIN_PLAYERS
-      });
+      if (player.readyState === WebSocket.OPEN) {
+        const isActor = details && room.seats?.indexOf(player) === action.player;
+        utils.sendToClient(player, {
+          type: 'gameAction',
+          action: isActor ? { ...action, ...details } : action,
+          seq,
+          hash
+        });
+      }
     });
+    utils.sendToSpectators(room, { type: 'gameAction', action, seq, hash });
+  },
+
+  // House rule: an invalid play costs the player a card from the deck
+  applyPenalty(room, seat) {
+    const penalty = engine.applyPenalty(room.game, seat);
+    if (!penalty) return;
+
+    utils.recordAction(room, penalty.action, penalty.card);
+    utils.broadcastGameAction(room, penalty.action, utils.getPrivateDetails(penalty));
+    if (utils.checkStalemate(room)) utils.startTurnClock(room);
+  },
+
+  // Once the deck is gone, check after every change whether anyone can
+  // still move; if not, the fewest cards wins. Returns true if it ended
+  checkStalemate(room) {
+    const action = engine.endStalemate(room.game);
+    if (!action) return false;
+
+    console.log(`🧱 Stalemate in room ${room.id} - seat ${action.winner} wins with the fewest cards`);
+    utils.recordAction(room, action);
+    utils.broadcastGameAction(room, action);
+    utils.archiveGame(room, action.winner);
+    utils.finishRound(room, action.winner);
+    return true;
+  },
+
+  // The log keeps drawn cards; it's only handed out once the game is over
+  recordAction(room, action, drawnCard = null) {
+    if (!room.gameLog || room.gameLog.endedAt) return;
+    engine.recordAction(room.gameLog, drawnCard ? { ...action, card: drawnCard } : action);
+
+    // Every turn ends in one of these, whether played or timed out
+    if (action.type === 'endTurn' || action.type === 'timeout') {
+      const now = Date.now();
+      if (!utils.isComputerSeat(room, action.player)) {
+        metrics.observe('turn_duration_seconds', (now - room.turnStartedAt) / 1000);
+      }
+      room.turnStartedAt = now;
+    }
+  },
+
+  archiveGame(room, winner) {
+    const log = engine.finishLog(room.gameLog, winner);
+    state.finishedGames.set(log.id, log);
+    while (state.finishedGames.size > CONFIG.MAX_FINISHED_GAMES) {
+      state.finishedGames.delete(state.finishedGames.keys().next().value);
+    }
+
+    console.log(`📼 Saved game ${log.id} (${log.actions.length} actions)`);
+    metrics.inc('games_finished_total', { outcome: room.game.stalemate ? 'stalemate' : 'win' });
+    metrics.observe('game_duration_seconds', (log.endedAt - log.startedAt) / 1000);
+    utils.broadcastToRoom(room, { type: 'gameRecord', gameId: log.id, log });
+
+    // Departed seats still count, as a loss with the cards they held
+    stats.recordGame(room.seatIds
+      .map((playerId, seat) => ({
+        playerId,
+        name: log.players[seat],
+        won: seat === winner,
+        cardsLeft: room.game.playerHands[seat].length
+      }))
+      .filter(result => result.playerId));
+  },
+
+  // ==================== MATCHES ====================
+  isMatchRunning(room) {
+    return !!room.matchState && !room.matchState.finished;
+  },
+
+  // Scores follow the player, not the seat, so someone leaving between
+  // rounds keeps their total on the board
+  startMatch(room) {
+    room.matchState = {
+      finished: false,
+      history: [],
+      entries: room.players.map(player => ({
+        player,
+        name: state.connections.get(player)?.displayName || 'Player',
+        score: 0,
+        roundsWon: 0
+      }))
+    };
+    console.log(`🏁 Starting ${room.match.mode} match in room ${room.id}`);
+  },
+
+  // Lowest score leads; rounds won breaks ties
+  getStandings(room) {
+    return [...room.matchState.entries]
+      .sort((a, b) => a.score - b.score || b.roundsWon - a.roundsWon)
+      .map(({ name, score, roundsWon, player }) => ({
+        name,
+        score,
+        roundsWon,
+        seat: room.seats ? room.seats.indexOf(player) : -1
+      }));
+  },
+
+  getMatchSummary(room) {
+    if (!room.matchState) return null;
+    const { history, finished } = room.matchState;
+    return {
+      ...room.match,
+      roundsPlayed: history.length,
+      finished,
+      standings: utils.getStandings(room),
+      lastRound: history[history.length - 1] || null
+    };
+  },
+
+  // Score the round, then either queue the next deal or close the match.
+  // A single game, or the last round, opens the rematch vote
+  finishRound(room, winner) {
+    if (!utils.isMatchRunning(room)) {
+      utils.openRematch(room);
+      return;
+    }
+
+    const matchState = room.matchState;
+    // After a stalemate nobody went out, so everyone scores their cards
+    const points = room.game.playerHands.map((hand, seat) => (
+      seat === winner && !room.game.stalemate ? 0 : engine.scoreHand(hand, room.match)
+    ));
+    room.seats.forEach((player, seat) => {
+      const entry = matchState.entries.find(e => e.player === player);
+      if (!entry) return;
+      entry.score += points[seat];
+      if (seat === winner) entry.roundsWon++;
+    });
+    matchState.history.push({
+      round: matchState.history.length + 1,
+      winner: utils.getSeatList(room)[winner].name,
+      points
+    });
+
+    const scores = matchState.entries.map(entry => entry.score);
+    matchState.finished = engine.isMatchOver(room.match, matchState.history.length, scores);
+
+    if (matchState.finished) {
+      console.log(`🏁 Match finished in room ${room.id} after ${matchState.history.length} rounds`);
+      utils.broadcastToRoom(room, { type: 'matchEnd', match: utils.getMatchSummary(room) });
+      utils.openRematch(room);
+      return;
+    }
+
+    utils.broadcastToRoom(room, {
+      type: 'roundEnd',
+      match: utils.getMatchSummary(room),
+      nextRoundMs: CONFIG.ROUND_BREAK
+    });
+    utils.scheduleNextRound(room);
+  },
+
+  scheduleNextRound(room) {
+    room.roundTimeout = setTimeout(() => {
+      room.roundTimeout = null;
+      if (!state.privateRooms.has(room.id)) return;
+
+      // Not enough players left to carry on: the scores so far stand
+      if (room.players.length < CONFIG.MIN_PLAYERS) {
+        room.matchState.finished = true;
+        utils.broadcastToRoom(room, { type: 'matchEnd', match: utils.getMatchSummary(room) });
+        utils.openRematch(room);
+        return;
+      }
+      utils.startGame(room.id, room);
+    }, CONFIG.ROUND_BREAK);
+  },
+
+  // ==================== REMATCHES ====================
+  // After a game (or a whole match) everyone has REMATCH_VOTE_TIMEOUT to
+  // vote for another. Seats that empty in the meantime can be taken by
+  // newcomers with the room code, or from the queue at public tables
+  openRematch(room) {
+    room.rematchVotes = new Set(room.players.filter(p => p.isBot));
+    room.rematchDeadline = Date.now() + CONFIG.REMATCH_VOTE_TIMEOUT;
+    room.rematchTimeout = setTimeout(() => utils.closeRematchVote(room), CONFIG.REMATCH_VOTE_TIMEOUT);
+    utils.broadcastRematchUpdate(room.id, room);
+  },
+
+  isRematchOpen(room) {
+    return !!room.rematchVotes && utils.getRoomPhase(room) === 'finished';
+  },
+
+  getOpenSeats(room) {
+    if (room.isPrivate) return room.locked ? 0 : CONFIG.MAX_PLAYERS - room.players.length;
+    return Math.max(0, (room.tableSize || 0) - room.players.length);
+  },
+
+  // Joining between games counts as a vote for the next one
+  joinRematch(room, ws) {
+    room.players.push(ws);
+    room.rematchVotes.add(ws);
+    utils.issueSession(ws, room.id);
+    console.log(`🪑 ${state.connections.get(ws)?.displayName || 'Player'} took an open seat in room ${room.id}`);
+    utils.broadcastRematchUpdate(room.id, room);
+    utils.checkRematch(room);
+  },
+
+  // Starts the rematch once everyone left has voted. Short-handed tables
+  // hold out for newcomers until the deadline
+  checkRematch(room) {
+    if (!utils.isRematchOpen(room) || !room.players.every(p => room.rematchVotes.has(p))) return;
+    if (room.players.length < CONFIG.MIN_PLAYERS) return;
+
+    if (state.draining) {
+      utils.broadcastToRoom(room, protocol.error('SERVER_DRAINING', { requestType: 'rematchVote' }));
+      return;
+    }
+    utils.startRematch(room);
+  },
+
+  startRematch(room) {
+    console.log(`🔄 All players ready - starting rematch in room ${room.id}`);
+    metrics.inc('rematches_total');
+    clearTimeout(room.rematchTimeout);
+    room.rematchTimeout = null;
+    room.rematchVotes = null;
+    room.readyPlayers = new Set(room.players);
+    room.rematches = (room.rematches || 0) + 1;
+
+    // rematchStart is followed by the usual gameStart, so everyone plays
+    // the same server-dealt game
+    utils.broadcastToRoom(room, { type: 'rematchStart' });
+    utils.startGame(room.id, room);
+  },
+
+  // Drop whoever didn't vote. A private room too small to go on turns back
+  // into a waiting room; a public one sends its players back to the queue
+  closeRematchVote(room) {
+    room.rematchTimeout = null;
+    if (!utils.isRematchOpen(room)) return;
+
+    room.players.filter(p => !room.rematchVotes.has(p)).forEach(player => {
+      console.log(`⌛ ${state.connections.get(player)?.displayName || 'Player'} did not vote for a rematch in room ${room.id}`);
+      metrics.inc('kicks_total', { reason: 'rematch' });
+      utils.kickFromRoom(player, 'You did not vote for a rematch in time');
+    });
+    if (!state.privateRooms.has(room.id) || !utils.isRematchOpen(room)) return;
+
+    if (room.players.length >= CONFIG.MIN_PLAYERS) {
+      utils.checkRematch(room);
+    } else if (room.isPrivate) {
+      utils.reopenRoom(room);
+    } else {
+      matchmaking.requeue(room);
+      utils.deleteRoom(room.id, room);
+      console.log(`🗑️  Room ${room.id} cleaned up`);
+    }
+  },
+
+  reopenRoom(room) {
+    Object.assign(room, {
+      gameStarted: false,
+      game: null,
+      gameLog: null,
+      seats: null,
+      seatIds: null,
+      rematchVotes: null,
+      readyPlayers: new Set()
+    });
+    room.players.forEach(player => {
+      if (!player.isBot) utils.setupPlayerTimeouts(player, room.id, room);
+    });
+    console.log(`↩️  Room ${room.id} is waiting for players again`);
+    utils.broadcastRoomUpdate(room.id, room);
+  },
+
+  rejectAction(ws, action, reason) {
+    const connData = state.connections.get(ws);
+    console.log(`🚫 Rejected ${action?.type || 'unknown'} from ${connData?.displayName || 'Player'}: ${reason}`);
+    utils.sendToClient(ws, {
+      type: 'actionRejected',
+      action,
+      reason
+    });
+  },
+
+  removeFromGame(room, ws) {
+    if (!room.game || !room.seats) return;
+
+    const seat = room.seats.indexOf(ws);
+    if (seat === -1) return;
+
+    if (!room.game.departed.includes(seat)) {
+      utils.recordAction(room, { type: 'leave', player: seat });
+    }
+    const turnAction = engine.removePlayer(room.game, seat);
+    if (turnAction) {
+      utils.broadcastGameAction(room, turnAction);
+    }
+    // Whoever left may have been the only one with a move left
+    if (utils.checkStalemate(room) || turnAction) {
+      utils.startTurnClock(room);
+      utils.scheduleBotTurn(room);
+    }
+  },
+
+  broadcastRoomUpdate(roomId, room) {
+    const playersList = room.players.map((p, index) => {
+      const pData = state.connections.get(p);
+      return {
+        name: pData?.displayName || 'Player',
+        id: index,
+        ready: room.readyPlayers.has(p),
+        muted: room.muted.has(p),
+        record: pData?.playerId ? stats.getSummary(pData.playerId) : null,
+        isBot: !!p.isBot,
+        botLevel: p.botLevel || null,
+        host: room.host === p
+      };
+    });
+
+    room.players.forEach((player, index) => {
+      const isHost = room.host === player;
+      utils.sendToClient(player, {
+        type: 'roomUpdate',
+        roomId,
+        players: playersList,
+        myPlayerIndex: index,
+        isPrivate: room.isPrivate,
+        isHost: isHost,
+        locked: !!room.locked,
+        hasPassword: !!room.password,
+        minPlayers: CONFIG.MIN_PLAYERS,
+        spectatorCount: room.spectators.size,
+        variant: room.variant,
+        match: room.match
+      });
+    });
+  },
+
+  // ---------- Hosting ----------
+  setHost(room, player) {
+    room.host = player;
+    if (!player) return;
+
+    const name = state.connections.get(player)?.displayName || 'Player';
+    // A newcomer waiting for a rematch holds no seat yet
+    const seat = utils.getRoomMembers(room).indexOf(player);
+    const playerIndex = seat === -1 ? null : seat;
+    console.log(`👑 ${name} is now the host of room ${room.id}`);
+    room.players.forEach(p => {
+      utils.sendToClient(p, { type: 'hostChanged', playerIndex, name, isHost: p === player });
+    });
+  },
+
+  // The next human in the room takes over, preferring someone who is
+  // connected right now over a seat held for a reconnect
+  migrateHost(room) {
+    const humans = room.players.filter(p => !p.isBot);
+    const next = humans.find(p => p.readyState === WebSocket.OPEN && !utils.isSeatHeld(p)) || humans[0] || null;
+    utils.setHost(room, next);
+  },
+
+  // Tidy up after someone left a room that carries on without them
+  settleRoom(roomId, room, departed) {
+    if (room.host === departed) utils.migrateHost(room);
+    if (utils.isRematchOpen(room)) {
+      room.rematchVotes.delete(departed);
+      utils.broadcastRematchUpdate(roomId, room);
+      utils.checkRematch(room);
+    }
+    if (room.gameStarted) return;
+
+    if (room.countdownInterval && room.players.length < CONFIG.MIN_PLAYERS) {
+      clearInterval(room.countdownInterval);
+      room.countdownInterval = null;
+      utils.broadcastToRoom(room, { type: 'countdownCancelled' });
+      console.log(`⏹️  Countdown cancelled in room ${roomId}`);
+    }
+    utils.broadcastRoomUpdate(roomId, room);
+  },
+
+  // The kicked player lands on the menu; the room sees an ordinary departure
+  kickFromRoom(ws, reason) {
+    utils.sendToClient(ws, { type: 'kicked', reason });
+    utils.cleanupConnection(ws);
+    setTimeout(() => {
+      if (ws.readyState === WebSocket.OPEN) ws.close();
+    }, 1000);
+  },
+
+  // ==================== CHAT ====================
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  filterWords(text) {
+    return CONFIG.CHAT_BLOCKED_WORDS.reduce((filtered, word) => {
+      const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return filtered.replace(new RegExp(`\\b${escaped}\\b`, 'gi'), '*'.repeat(word.length));
+    }, text);
+  },
+
+  // Sliding window of recent message times, kept on the connection
+  allowChat(connData) {
+    const now = Date.now();
+    connData.chatTimes = (connData.chatTimes || []).filter(t => now - t < CONFIG.CHAT_RATE_WINDOW);
+    if (connData.chatTimes.length >= CONFIG.CHAT_RATE_LIMIT) return false;
+    connData.chatTimes.push(now);
+    return true;
+  },
+
+  // Player indices match what clients show: seats in game, join order before
+  getRoomMembers(room) {
+    return room.gameStarted ? room.seats : room.players;
+  },
+
+  broadcastSpectatorCount(room) {
+    utils.broadcastToRoom(room, { type: 'spectators', count: room.spectators.size });
+  },
+
+  // Everything a newly arrived spectator needs to draw the table
+  getSpectatorSnapshot(room) {
+    const players = room.seats
+      ? utils.getSeatList(room)
+      : room.players.map((p, index) => ({
+        name: state.connections.get(p)?.displayName || 'Player',
+        id: index,
+        index
+      }));
+
+    return {
+      type: 'spectateStart',
+      roomId: room.id,
+      gameStarted: !!room.game,
+      players,
+      myPlayerIndex: -1,
+      view: room.game ? engine.getPlayerView(room.game, null) : null,
+      seq: room.actionSeq || 0,
+      reconnecting: room.seats
+        ? room.seats.map((p, index) => (utils.isSeatHeld(p) ? index : -1)).filter(index => index !== -1)
+        : [],
+      autopilot: room.autopilot ? [...room.autopilot] : [],
+      turnTimer: room.game ? utils.getTurnClock(room) : null,
+      spectatorCount: room.spectators.size,
+      match: utils.getMatchSummary(room)
+    };
   },
 
   broadcastRematchUpdate(roomId, room) {
-    const playersList = room.players.map(p => {
+    const playersList = room.players.map((p, index) => {
       const pData = state.connections.get(p);
       return {
         name: pData?.displayName || 'Player',
-        id: p,
+        id: index,
         wantsRematch: room.rematchVotes ? room.rematchVotes.has(p) : false
       };
     });
+    const remainingMs = Math.max(0, (room.rematchDeadline || 0) - Date.now());
+    const openSeats = utils.getOpenSeats(room);
 
     room.players.forEach(player => {
       if (player.readyState === WebSocket.OPEN) {
         utils.sendToClient(player, {
           type: 'rematchUpdate',
           roomId,
-          players: playersList
+          players: playersList,
+          remainingMs,
+          openSeats
         });
       }
     });
@@ -242,6 +1491,7 @@ const utils = {
     const displayName = connData?.displayName || 'Player';
 
     console.log(`⏱️  Kicking ${displayName} from room ${roomId}: ${reason}`);
+    metrics.inc('kicks_total', { reason });
 
     // Send kick message to player
     this.sendToClient(ws, {
@@ -302,168 +1552,638 @@ const utils = {
   }
 };
 
-// ==================== MESSAGE HANDLERS ====================
-const handlers = {
-  joinPublic(ws, data) {
-    const displayName = data.displayName || 'Player';
+// ==================== MATCHMAKING ====================
+// Public players wait in state.publicQueue, oldest first, with an optional
+// table size. Each player in turn gets the earliest compatible players
+// behind them; a room only forms once a whole group exists
+const matchmaking = {
+  recentWaits: [], // ms from joining the queue to a room, for estimates
 
-    // Store display name
-    const connData = state.connections.get(ws) || {};
-    connData.displayName = displayName;
-    state.connections.set(ws, connData);
+  accepts(ws, size) {
+    const wanted = state.connections.get(ws)?.tableSize;
+    return !wanted || wanted === size;
+  },
 
-    console.log(`👤 ${displayName} joined public queue`);
+  remove(ws) {
+    const index = state.publicQueue.indexOf(ws);
+    if (index === -1) return false;
+    state.publicQueue.splice(index, 1);
+    return true;
+  },
 
-    // Find an existing public room that hasn't started
-    let foundRoom = null;
-    for (const [roomId, room] of state.privateRooms.entries()) {
-      if (!room.isPrivate &&
-          room.players.length < CONFIG.MAX_PLAYERS &&
-          !room.gameStarted) {
-        foundRoom = { roomId, room };
-        break;
-      }
+  // Players happy with any size hold out for a full table until they've
+  // waited QUEUE_GATHER_TIME, and get bots once BOT_FILL_TIMEOUT passes
+  findGroup(ws, now) {
+    const connData = state.connections.get(ws);
+    const waited = now - connData.queuedAt;
+    const sizes = connData.tableSize ? [connData.tableSize] : [4, 3, 2];
+    const compatible = size => [ws, ...state.publicQueue.filter(other => (
+      other !== ws && matchmaking.accepts(other, size)
+    ))].slice(0, size);
+
+    for (const size of sizes) {
+      const group = compatible(size);
+      const willing = connData.tableSize || size === CONFIG.MAX_PLAYERS || waited >= CONFIG.QUEUE_GATHER_TIME;
+      if (group.length === size && willing) return { group, bots: 0 };
     }
 
-    if (foundRoom) {
-      // Join existing room
-      const { roomId, room } = foundRoom;
-      room.players.push(ws);
-      connData.roomId = roomId;
-      state.connections.set(ws, connData);
-
-      utils.setupPlayerTimeouts(ws, roomId, room);
+    if (waited >= CONFIG.BOT_FILL_TIMEOUT) {
+      const size = connData.tableSize || CONFIG.MIN_PLAYERS;
+      const group = compatible(size);
+      return { group, bots: size - group.length };
+    }
+    return null;
+  },
 
-      console.log(`🎮 ${displayName} joined room ${roomId} (${room.players.length}/${CONFIG.MAX_PLAYERS})`);
+  match() {
+    const now = Date.now();
+    matchmaking.fillRematches(now);
 
-      // Start timeout when 2nd player joins
-      if (room.players.length === 2 && !room.startTimeout) {
-        room.startTimeout = setTimeout(() => {
-          if (!room.gameStarted && room.players.length >= CONFIG.MIN_PLAYERS) {
-            utils.startRoomCountdown(roomId, room);
-          }
-        }, 60000); // 60 second timeout
-        console.log(`⏱️  Started 60s timeout for room ${roomId}`);
+    const next = () => {
+      for (const ws of state.publicQueue) {
+        const found = matchmaking.findGroup(ws, now);
+        if (found) return found;
       }
+      return null;
+    };
 
-      // If room is full (4 players), start immediately
-      if (room.players.length === CONFIG.MAX_PLAYERS) {
-        if (room.startTimeout) {
-          clearTimeout(room.startTimeout);
-          room.startTimeout = null;
-        }
-        utils.startRoomCountdown(roomId, room);
-      } else {
-        utils.broadcastRoomUpdate(roomId, room);
+    let found;
+    while ((found = next())) {
+      matchmaking.createRoom(found.group, found.bots, now);
+    }
+  },
+
+  // Seats left empty at a public table between games go to the first
+  // compatible players in line before any new table forms
+  fillRematches(now) {
+    for (const room of state.privateRooms.values()) {
+      if (room.isPrivate || !utils.isRematchOpen(room)) continue;
+
+      while (utils.getOpenSeats(room) > 0 && utils.isRematchOpen(room)) {
+        const ws = state.publicQueue.find(other => matchmaking.accepts(other, room.tableSize));
+        if (!ws) break;
+
+        matchmaking.remove(ws);
+        const connData = state.connections.get(ws);
+        connData.roomId = room.id;
+        matchmaking.recentWaits.push(now - connData.queuedAt);
+        utils.joinRematch(room, ws);
       }
-    } else {
-      // Create new room
-      const roomId = utils.generateRoomId();
-      const room = {
-        id: roomId,
-        players: [ws],
-        isPrivate: false,
-        createdAt: Date.now(),
-        host: ws,
-        gameStarted: false,
-        readyPlayers: new Set()
-      };
+    }
+    matchmaking.recentWaits.splice(0, matchmaking.recentWaits.length - CONFIG.QUEUE_WAIT_SAMPLES);
+  },
 
-      state.privateRooms.set(roomId, room);
+  createRoom(group, bots, now) {
+    const roomId = utils.generateRoomId();
+    const room = {
+      id: roomId,
+      players: [...group],
+      isPrivate: false,
+      createdAt: now,
+      host: group[0],
+      tableSize: group.length + bots, // Kept when seats open up between games
+      gameStarted: false,
+      readyPlayers: new Set(group),
+      spectators: new Set(),
+      muted: new Set(),
+      turnTimeout: CONFIG.TURN_TIMEOUT,
+      timeoutPolicy: CONFIG.TIMEOUT_POLICY,
+      variant: engine.normalizeVariant(),
+      match: engine.normalizeMatch()
+    };
+    state.privateRooms.set(roomId, room);
+
+    group.forEach(ws => {
+      matchmaking.remove(ws);
+      const connData = state.connections.get(ws);
       connData.roomId = roomId;
-      state.connections.set(ws, connData);
+      matchmaking.recentWaits.push(now - connData.queuedAt);
+      utils.issueSession(ws, roomId);
+    });
+    matchmaking.recentWaits.splice(0, matchmaking.recentWaits.length - CONFIG.QUEUE_WAIT_SAMPLES);
+
+    // Nobody compatible turned up in time: fill the table with bots
+    for (let i = 0; i < bots; i++) {
+      utils.addBot(roomId, room, CONFIG.BOT_FILL_LEVEL);
+    }
+    if (bots > 0) metrics.inc('public_bot_fills_total');
+
+    console.log(`🆕 Formed public room ${roomId} for ${group.length} players${bots ? ` and ${bots} bots` : ''} (${state.publicQueue.length} still waiting)`);
+    utils.broadcastRoomUpdate(roomId, room);
+    utils.startRoomCountdown(roomId, room);
+  },
+
+  // Players who never got to play keep their original place in line
+  requeue(room) {
+    const humans = room.players.filter(ws => !ws.isBot && state.connections.has(ws));
+    if (humans.length === 0) return;
+
+    // Anyone who already played here joins the back of the line
+    humans.forEach(ws => {
+      const connData = state.connections.get(ws);
+      if (connData.sessionToken) state.sessions.delete(connData.sessionToken);
+      Object.assign(connData, { roomId: null, sessionToken: null, queuedAt: connData.queuedAt || Date.now() });
+      state.publicQueue.push(ws);
+    });
+    state.publicQueue.sort((a, b) => state.connections.get(a).queuedAt - state.connections.get(b).queuedAt);
+    console.log(`↩️  Public room ${room.id} broke up - players back in the queue`);
+    matchmaking.sendUpdates();
+  },
+
+  // The average recent wait, or the bot fill deadline once that has
+  // passed or before anyone has been matched
+  sendUpdates() {
+    const now = Date.now();
+    const { recentWaits } = matchmaking;
+    const average = recentWaits.length
+      ? recentWaits.reduce((sum, wait) => sum + wait, 0) / recentWaits.length
+      : null;
+
+    state.publicQueue.forEach((ws, index) => {
+      const connData = state.connections.get(ws);
+      const waited = now - connData.queuedAt;
+      const untilBots = Math.max(0, CONFIG.BOT_FILL_TIMEOUT - waited);
+      const estimate = average !== null && average > waited ? Math.min(untilBots, average - waited) : untilBots;
+
+      utils.sendToClient(ws, {
+        type: 'queueUpdate',
+        position: index + 1,
+        queueSize: state.publicQueue.length,
+        tableSize: connData.tableSize || null,
+        waitedMs: waited,
+        estimatedWaitMs: Math.round(estimate)
+      });
+    });
+  }
+};
 
-      utils.setupPlayerTimeouts(ws, roomId, room);
+// ==================== MESSAGE HANDLERS ====================
+// Every message has been checked against protocol.CLIENT_MESSAGES before
+// it reaches a handler
+const handlers = {
+  // Sent by the client once `connected` arrives; anything outside the
+  // supported range is told to refresh and disconnected
+  hello(ws, data) {
+    if (data.protocolVersion < protocol.MIN_VERSION || data.protocolVersion > protocol.VERSION) {
+      console.log(`⚠️  Refusing protocol v${data.protocolVersion} client (server speaks v${protocol.VERSION})`);
+      utils.sendError(ws, 'UNSUPPORTED_VERSION', { requestType: 'hello' });
+      ws.close();
+      return;
+    }
+
+    const connData = state.connections.get(ws);
+    if (connData) connData.protocolVersion = data.protocolVersion;
+  },
 
-      utils.broadcastRoomUpdate(roomId, room);
-      console.log(`🆕 Created new public room ${roomId}`);
+  // Public players go into the matchmaking queue; a room forms around
+  // them once a compatible group exists
+  joinPublic(ws, data) {
+    if (state.draining) {
+      utils.sendError(ws, 'SERVER_DRAINING', { requestType: 'joinPublic' });
+      return;
+    }
+    const connData = state.connections.get(ws);
+    if (!connData || connData.roomId) return;
+
+    connData.displayName = data.displayName || 'Player';
+    connData.playerId = stats.isPlayerId(data.playerId) ? data.playerId : null;
+    connData.tableSize = data.tableSize || null;
+
+    // Asking again only changes the table size; the place in line is kept
+    if (!state.publicQueue.includes(ws)) {
+      connData.queuedAt = Date.now();
+      state.publicQueue.push(ws);
     }
+
+    console.log(`👤 ${connData.displayName} joined public queue (${connData.tableSize || 'any'} players, ${state.publicQueue.length} waiting)`);
+    matchmaking.match();
+    matchmaking.sendUpdates();
+  },
+
+  leaveQueue(ws, data) {
+    if (!matchmaking.remove(ws)) return;
+
+    const connData = state.connections.get(ws);
+    console.log(`📤 ${connData?.displayName || 'Player'} left public queue (${state.publicQueue.length} waiting)`);
+    utils.sendToClient(ws, { type: 'queueLeft' });
+    matchmaking.sendUpdates();
   },
 
   createPrivate(ws, data) {
+    if (state.draining) {
+      utils.sendError(ws, 'SERVER_DRAINING', { requestType: 'createPrivate' });
+      return;
+    }
     const roomId = data.roomId || utils.generateRoomId();
     const displayName = data.displayName || 'Player';
 
+    const ip = state.connections.get(ws)?.ip;
+    if (!limits.allowRoomCreation(ip)) {
+      limits.recordViolation(ws, ip, 'roomCreation', 'ROOM_LIMIT', { requestType: 'createPrivate' });
+      return;
+    }
+
     // Check if room already exists
     if (state.privateRooms.has(roomId)) {
       utils.sendToClient(ws, { type: 'roomInvalid', roomId });
       return;
     }
 
-    // Create room with one player
-    const room = {
-      id: roomId,
-      players: [ws],
-      isPrivate: true,
-      createdAt: Date.now(),
-      host: ws,
-      gameStarted: false,
-      readyPlayers: new Set()
-    };
+    // Turn clock in seconds; 0 switches it off for this room
+    const turnSeconds = Number(data.turnSeconds ?? CONFIG.TURN_TIMEOUT / 1000);
+    const turnTimeout = turnSeconds > 0
+      ? Math.min(CONFIG.MAX_TURN_TIMEOUT, Math.max(CONFIG.MIN_TURN_TIMEOUT, Math.round(turnSeconds * 1000) || 0))
+      : 0;
+
+    // Create room with one player
+    const room = {
+      id: roomId,
+      players: [ws],
+      isPrivate: true,
+      createdAt: Date.now(),
+      host: ws,
+      gameStarted: false,
+      readyPlayers: new Set(),
+      spectators: new Set(),
+      muted: new Set(),
+      locked: false, // Host shut the door on new players
+      password: null,
+      turnTimeout,
+      timeoutPolicy: CONFIG.TIMEOUT_POLICIES.includes(data.timeoutPolicy) ? data.timeoutPolicy : CONFIG.TIMEOUT_POLICY,
+      variant: engine.normalizeVariant(data.variant),
+      match: engine.normalizeMatch(data.match)
+    };
+
+    state.privateRooms.set(roomId, room);
+    state.connections.set(ws, {
+      ...state.connections.get(ws),
+      roomId,
+      isPrivate: true,
+      displayName,
+      playerId: stats.isPlayerId(data.playerId) ? data.playerId : null
+    });
+
+    utils.setupPlayerTimeouts(ws, roomId, room);
+
+    utils.sendToClient(ws, {
+      type: 'roomCreated',
+      roomId
+    });
+    utils.issueSession(ws, roomId);
+    utils.broadcastRoomUpdate(roomId, room);
+    console.log(`🔐 Private room created: ${roomId} by ${displayName}`);
+  },
+
+  joinPrivate(ws, data) {
+    const roomId = data.roomId?.toUpperCase();
+    const displayName = data.displayName || 'Player';
+
+    if (!roomId) {
+      utils.sendToClient(ws, { type: 'roomInvalid', roomId: '' });
+      return;
+    }
+
+    const room = state.privateRooms.get(roomId);
+
+    if (!room) {
+      utils.sendToClient(ws, { type: 'roomInvalid', roomId });
+      console.log(`❌ Room not found: ${roomId}`);
+      return;
+    }
+
+    if (room.players.length >= CONFIG.MAX_PLAYERS) {
+      utils.sendToClient(ws, { type: 'roomFull', roomId });
+      console.log(`❌ Room full: ${roomId}`);
+      return;
+    }
+
+    if (room.locked) {
+      utils.sendError(ws, 'ROOM_LOCKED', { requestType: 'joinPrivate' });
+      console.log(`🔒 Room locked: ${roomId}`);
+      return;
+    }
+
+    // Wrong guesses count towards a ban so passwords can't be brute forced
+    if (room.password && data.password !== room.password) {
+      const ip = state.connections.get(ws)?.ip;
+      limits.recordViolation(ws, ip, 'wrongPassword', 'WRONG_PASSWORD', { requestType: 'joinPrivate', field: 'password' });
+      return;
+    }
+
+    // Between games a newcomer can take an empty seat for the rematch
+    const joiningRematch = utils.isRematchOpen(room);
+    if (room.gameStarted && !joiningRematch) {
+      utils.sendError(ws, 'GAME_IN_PROGRESS', { requestType: 'joinPrivate' });
+      return;
+    }
+
+    state.connections.set(ws, {
+      ...state.connections.get(ws),
+      roomId,
+      isPrivate: true,
+      displayName,
+      playerId: stats.isPlayerId(data.playerId) ? data.playerId : null
+    });
+    if (joiningRematch) {
+      utils.joinRematch(room, ws);
+      return;
+    }
+
+    // Add player to room
+    room.players.push(ws);
+    utils.setupPlayerTimeouts(ws, roomId, room);
+    utils.issueSession(ws, roomId);
+
+    console.log(`🎮 ${displayName} joined private room: ${roomId} (${room.players.length}/${CONFIG.MAX_PLAYERS})`);
+
+    utils.broadcastRoomUpdate(roomId, room);
+  },
+
+  addBot(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room) return;
+
+    // Only the host of a private room, before the game starts
+    if (!room.isPrivate || room.host !== ws || room.gameStarted) return;
+    if (room.players.length >= CONFIG.MAX_PLAYERS) return;
+
+    const level = engine.BOT_LEVELS.includes(data.level) ? data.level : 'medium';
+    utils.addBot(connData.roomId, room, level);
+    utils.broadcastRoomUpdate(connData.roomId, room);
+  },
+
+  removeBot(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room) return;
+
+    if (!room.isPrivate || room.host !== ws || room.gameStarted) return;
+
+    const bot = room.players[data.playerIndex];
+    if (!bot?.isBot) return;
+
+    room.players = room.players.filter(p => p !== bot);
+    room.readyPlayers.delete(bot);
+    state.connections.delete(bot);
+
+    console.log(`🤖 Removed bot from room ${connData.roomId}`);
+    utils.broadcastRoomUpdate(connData.roomId, room);
+  },
+
+  gameAction(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room) return;
+
+    const action = data.action;
+    if (connData.spectating) {
+      utils.rejectAction(ws, action, 'Spectators cannot play');
+      return;
+    }
+    if (!room.gameStarted || !room.game) {
+      utils.rejectAction(ws, action, 'The game has not started');
+      return;
+    }
+
+    // Validate against the server's copy of the game; nothing the client
+    // claims about cards or turn order is trusted. Valid actions go to
+    // every player, sender included
+    const result = utils.processAction(room, ws, action);
+    if (result.error) {
+      utils.rejectAction(ws, action, result.error);
+      return;
+    }
+
+    const seat = room.seats.indexOf(ws);
+    room.turnTimeouts[seat] = 0;
+    utils.releaseAutopilot(room, seat);
+  },
+
+  takeControl(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.game) return;
+
+    const seat = room.seats.indexOf(ws);
+    if (seat === -1) return;
+    room.turnTimeouts[seat] = 0;
+    utils.releaseAutopilot(room, seat);
+  },
+
+  // The client's copy of the game no longer matches ours: log why and
+  // send it the whole view to start over from
+  resync(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.game) return;
+
+    const seat = room.seats.indexOf(ws);
+    if (seat === -1 && !room.spectators.has(ws)) return;
+
+    console.log(`🔄 Resync for ${connData.displayName || 'Player'} in room ${room.id} at action ${room.actionSeq} ` +
+      `(client at ${data.seq ?? '?'}): ${data.reason}`);
+    metrics.inc('resyncs_total');
+
+    utils.sendToClient(ws, {
+      type: 'resync',
+      view: engine.getPlayerView(room.game, seat === -1 ? null : seat),
+      seq: room.actionSeq || 0
+    });
+  },
+
+  chat(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room) return;
+
+    if (room.muted.has(ws)) {
+      utils.sendToClient(ws, { type: 'chatRejected', reason: 'The host has muted you' });
+      return;
+    }
+
+    const emote = typeof data.emote === 'string' && CONFIG.CHAT_EMOTES[data.emote] ? data.emote : null;
+    const text = emote ? CONFIG.CHAT_EMOTES[emote] : String(data.text || '').trim().slice(0, CONFIG.CHAT_MAX_LENGTH);
+    if (!text) return;
+
+    if (!utils.allowChat(connData)) {
+      utils.sendToClient(ws, { type: 'chatRejected', reason: 'You are sending messages too quickly' });
+      return;
+    }
+
+    utils.broadcastToRoom(room, {
+      type: 'chat',
+      from: utils.escapeHtml(connData.displayName || 'Player'),
+      playerIndex: utils.getRoomMembers(room).indexOf(ws),
+      spectator: !!connData.spectating,
+      text: utils.escapeHtml(utils.filterWords(text)),
+      emote
+    });
+  },
+
+  // Hosts pick house rules in the waiting room; unknown keys are ignored
+  setVariant(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.isPrivate || room.host !== ws || room.gameStarted) return;
+
+    room.variant = engine.normalizeVariant({ ...room.variant, ...data.variant });
+    console.log(`📜 House rules changed in room ${connData.roomId}:`, room.variant);
+    utils.broadcastRoomUpdate(connData.roomId, room);
+  },
+
+  // Match format and scoring, also picked by the host before the game
+  setMatch(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.isPrivate || room.host !== ws || room.gameStarted) return;
+
+    room.match = engine.normalizeMatch({ ...room.match, ...data.match });
+    console.log(`🏁 Match settings changed in room ${connData.roomId}:`, room.match);
+    utils.broadcastRoomUpdate(connData.roomId, room);
+  },
+
+  mutePlayer(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.isPrivate || room.host !== ws) return;
+
+    const target = utils.getRoomMembers(room)[data.playerIndex];
+    if (!target || target === ws || target.isBot) return;
+
+    if (data.muted) {
+      room.muted.add(target);
+    } else {
+      room.muted.delete(target);
+    }
+
+    console.log(`🔇 Host ${data.muted ? 'muted' : 'unmuted'} player ${data.playerIndex} in room ${connData.roomId}`);
+
+    utils.broadcastToRoom(room, { type: 'playerMuted', playerIndex: data.playerIndex, muted: !!data.muted });
+    if (!room.gameStarted) utils.broadcastRoomUpdate(connData.roomId, room);
+  },
+
+  // ---------- Host controls ----------
+  kickPlayer(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.isPrivate || room.host !== ws || room.gameStarted) return;
+
+    const target = room.players[data.playerIndex];
+    if (!target || target === ws) return;
+    if (target.isBot) {
+      handlers.removeBot(ws, data);
+      return;
+    }
+
+    console.log(`👢 Host removed ${state.connections.get(target)?.displayName || 'a player'} from room ${connData.roomId}`);
+    metrics.inc('kicks_total', { reason: 'host' });
+    utils.kickFromRoom(target, 'The host removed you from the room');
+  },
+
+  transferHost(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.isPrivate || room.host !== ws) return;
+
+    const target = utils.getRoomMembers(room)[data.playerIndex];
+    if (!target || target === ws || target.isBot || !room.players.includes(target)) return;
+
+    utils.setHost(room, target);
+    if (!room.gameStarted) utils.broadcastRoomUpdate(connData.roomId, room);
+  },
+
+  setRoomLock(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.isPrivate || room.host !== ws) return;
+
+    room.locked = data.locked;
+    console.log(`${room.locked ? '🔒' : '🔓'} Room ${connData.roomId} ${room.locked ? 'locked' : 'unlocked'}`);
+    if (!room.gameStarted) utils.broadcastRoomUpdate(connData.roomId, room);
+  },
+
+  setRoomPassword(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
+
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.isPrivate || room.host !== ws) return;
 
-    state.privateRooms.set(roomId, room);
-    state.connections.set(ws, { roomId, isPrivate: true, displayName });
+    room.password = data.password || null;
+    console.log(`🔑 Room ${connData.roomId} password ${room.password ? 'set' : 'removed'}`);
+    if (!room.gameStarted) utils.broadcastRoomUpdate(connData.roomId, room);
+  },
 
-    utils.setupPlayerTimeouts(ws, roomId, room);
+  // Seat order is fixed when the game starts, and seat 0 goes first
+  moveSeat(ws, data) {
+    const connData = state.connections.get(ws);
+    if (!connData?.roomId) return;
 
-    utils.sendToClient(ws, {
-      type: 'roomCreated',
-      roomId
-    });
-    utils.broadcastRoomUpdate(roomId, room);
-    console.log(`🔐 Private room created: ${roomId} by ${displayName}`);
+    const room = state.privateRooms.get(connData.roomId);
+    if (!room?.isPrivate || room.host !== ws || room.gameStarted) return;
+
+    const player = room.players[data.playerIndex];
+    if (!player || data.toIndex >= room.players.length) return;
+
+    room.players.splice(data.playerIndex, 1);
+    room.players.splice(data.toIndex, 0, player);
+    utils.broadcastRoomUpdate(connData.roomId, room);
   },
 
-  joinPrivate(ws, data) {
+  spectate(ws, data) {
     const roomId = data.roomId?.toUpperCase();
-    const displayName = data.displayName || 'Player';
-
-    if (!roomId) {
-      utils.sendToClient(ws, { type: 'roomInvalid', roomId: '' });
-      return;
-    }
+    const room = roomId && state.privateRooms.get(roomId);
+    const connData = state.connections.get(ws) || {};
 
-    const room = state.privateRooms.get(roomId);
+    if (connData.roomId) return;
 
     if (!room) {
-      utils.sendToClient(ws, { type: 'roomInvalid', roomId });
-      console.log(`❌ Room not found: ${roomId}`);
+      utils.sendToClient(ws, { type: 'roomInvalid', roomId: roomId || '' });
       return;
     }
 
-    if (room.players.length >= CONFIG.MAX_PLAYERS) {
+    if (room.spectators.size >= CONFIG.MAX_SPECTATORS) {
       utils.sendToClient(ws, { type: 'roomFull', roomId });
-      console.log(`❌ Room full: ${roomId}`);
       return;
     }
 
-    // Add player to room
-    room.players.push(ws);
-    state.connections.set(ws, { roomId, isPrivate: true, displayName });
-
-    utils.setupPlayerTimeouts(ws, roomId, room);
-
-    console.log(`🎮 ${displayName} joined private room: ${roomId} (${room.players.length}/${CONFIG.MAX_PLAYERS})`);
-
-    utils.broadcastRoomUpdate(roomId, room);
-  },
-
-  gameAction(ws, data) {
-    const connData = state.connections.get(ws);
-    if (!connData?.roomId) return;
+    state.connections.set(ws, {
+      ...connData,
+      roomId,
+      spectating: true,
+      displayName: data.displayName || 'Spectator'
+    });
+    room.spectators.add(ws);
 
-    const room = state.privateRooms.get(connData.roomId);
-    if (!room) return;
+    console.log(`👁️  Spectator joined room ${roomId} (${room.spectators.size} watching)`);
 
-    // Relay the game action to all OTHER players in the room
-    room.players.forEach(player => {
-      if (player !== ws && player.readyState === WebSocket.OPEN) {
-        utils.sendToClient(player, {
-          type: 'gameAction',
-          action: data.action
-        });
-      }
-    });
+    utils.sendToClient(ws, utils.getSpectatorSnapshot(room));
+    utils.broadcastSpectatorCount(room);
   },
 
   playerReady(ws, data) {
@@ -473,6 +2193,7 @@ const handlers = {
     const room = state.privateRooms.get(connData.roomId);
     if (!room) return;
 
+    if (!room.players.includes(ws)) return;
     utils.clearPlayerTimeouts(ws, connData.roomId);
 
     room.readyPlayers.add(ws);
@@ -480,14 +2201,6 @@ const handlers = {
 
     utils.broadcastRoomUpdate(connData.roomId, room);
 
-    // For public games: if all players ready, start game
-    if (!room.isPrivate && room.readyPlayers.size === room.players.length && room.players.length >= CONFIG.MIN_PLAYERS) {
-      if (room.startTimeout) {
-        clearTimeout(room.startTimeout);
-        room.startTimeout = null;
-      }
-      utils.startRoomCountdown(connData.roomId, room);
-    }
   },
 
   startGame(ws, data) {
@@ -511,127 +2224,236 @@ const handlers = {
     const room = state.privateRooms.get(connData.roomId);
     if (!room) return;
 
-    // Initialize rematch votes if not exists
-    if (!room.rematchVotes) {
-      room.rematchVotes = new Set();
-    }
+    // Only between games; the next round of a match starts on its own
+    if (!room.players.includes(ws) || !utils.isRematchOpen(room)) return;
 
-    // Add this player's vote
     room.rematchVotes.add(ws);
     console.log(`✓ Rematch vote in room ${connData.roomId} (${room.rematchVotes.size}/${room.players.length})`);
 
-    // Broadcast rematch status to all players
     utils.broadcastRematchUpdate(connData.roomId, room);
+    utils.checkRematch(room);
+  },
 
-    // If all players voted, start rematch
-    if (room.rematchVotes.size === room.players.length) {
-      console.log(`🔄 All players ready - starting rematch in room ${connData.roomId}`);
+  resume(ws, data) {
+    const session = state.sessions.get(data.token);
+    const oldWs = session?.ws;
+    const oldData = oldWs && state.connections.get(oldWs);
+    const room = oldData && state.privateRooms.get(oldData.roomId);
 
-      // Reset room state for new game
-      room.gameStarted = false;
-      room.rematchVotes = new Set();
-      room.readyPlayers = new Set();
+    const running = room?.game && (room.game.winner === null || utils.isMatchRunning(room));
+    if (!running || !room.seats.includes(oldWs)) {
+      utils.sendToClient(ws, { type: 'resumeFailed', reason: 'Your game is no longer running' });
+      return;
+    }
 
-      // Notify all players to start new game
-      room.players.forEach(player => {
-        if (player.readyState === WebSocket.OPEN) {
-          utils.sendToClient(player, { type: 'rematchStart' });
-        }
-      });
+    if (oldData.graceTimeout) {
+      clearTimeout(oldData.graceTimeout);
+    }
+
+    // Move the seat over to the new socket. The old one may still look
+    // open if the drop hasn't been noticed yet, so cut it off for good.
+    // What belongs to the socket itself (its hello and its rate limit)
+    // comes from the new one; a seat restored from a snapshot has neither
+    const newData = state.connections.get(ws);
+    state.connections.delete(oldWs);
+    state.connections.set(ws, {
+      ...oldData,
+      connectedAt: newData?.connectedAt || Date.now(),
+      ip: newData?.ip,
+      protocolVersion: newData?.protocolVersion,
+      messageBucket: newData?.messageBucket,
+      rateLimited: newData?.rateLimited,
+      graceTimeout: null
+    });
+    session.ws = ws;
+    utils.replaceSocket(room, oldWs, ws);
+    if (oldWs.readyState === WebSocket.OPEN) {
+      oldWs.terminate();
     }
+
+    const seat = room.seats.indexOf(ws);
+    console.log(`🔁 ${oldData.displayName || 'Player'} resumed seat ${seat} in room ${room.id}`);
+
+    utils.sendToClient(ws, {
+      type: 'resumed',
+      roomId: room.id,
+      players: utils.getSeatList(room),
+      myPlayerIndex: seat,
+      view: engine.getPlayerView(room.game, seat),
+      seq: room.actionSeq || 0,
+      reconnecting: room.seats
+        .map((p, index) => (utils.isSeatHeld(p) ? index : -1))
+        .filter(index => index !== -1),
+      autopilot: [...room.autopilot],
+      turnTimer: utils.getTurnClock(room),
+      match: utils.getMatchSummary(room)
+    });
+
+    utils.broadcastToRoom(room, { type: 'playerReconnected', playerIndex: seat }, ws);
   },
 
   leaveRoom(ws, data) {
     const connData = state.connections.get(ws);
     if (!connData?.roomId) return;
 
+    if (connData.spectating) {
+      utils.stopSpectating(ws, connData);
+      utils.forgetRoom(connData);
+      return;
+    }
+
     const room = state.privateRooms.get(connData.roomId);
-    if (!room) return;
+    if (!room) {
+      utils.forgetRoom(connData);
+      return;
+    }
 
     // Remove player from room
     room.players = room.players.filter(p => p !== ws);
+    room.readyPlayers.delete(ws);
+    if (room.gameStarted) {
+      utils.removeFromGame(room, ws);
+    }
 
     console.log(`👋 Player left room ${connData.roomId} (${room.players.length} remaining)`);
 
-    // If rematch voting was in progress, update remaining players
-    if (room.rematchVotes) {
-      room.rematchVotes.delete(ws);
-      if (room.players.length > 0) {
-        utils.broadcastRematchUpdate(connData.roomId, room);
-      }
-    }
-
-    // Clean up room if empty
-    if (room.players.length === 0) {
-      if (room.countdownInterval) clearInterval(room.countdownInterval);
-      if (room.startTimeout) clearTimeout(room.startTimeout);
-      state.privateRooms.delete(connData.roomId);
+    // Clean up room if empty (or only bots are left), or put a public
+    // table that never started back in the queue
+    if (!utils.hasHumans(room) || (!room.isPrivate && !room.gameStarted)) {
+      if (!room.isPrivate && !room.gameStarted) matchmaking.requeue(room);
+      utils.deleteRoom(connData.roomId, room);
       console.log(`🗑️  Room ${connData.roomId} deleted (empty)`);
+    } else {
+      utils.settleRoom(connData.roomId, room, ws);
     }
 
     // Clear connection data
-    state.connections.delete(ws);
+    if (connData.sessionToken) {
+      state.sessions.delete(connData.sessionToken);
+    }
+    utils.forgetRoom(connData);
   }
 };
 
 // ==================== WEBSOCKET CONNECTION ====================
 wss.on('connection', (ws, req) => {
-  const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress;
+  const ip = req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress;
+
+  const refusal = limits.admit(ip);
+  if (refusal) {
+    limits.count(refusal === 'BANNED' ? 'bannedConnection' : 'connectionLimit');
+    console.log(`🚫 Refused connection from ${ip}: ${refusal}`);
+    utils.sendError(ws, refusal);
+    ws.close(1008, refusal);
+    return;
+  }
   console.log(`✅ New connection from ${ip}`);
+  metrics.inc('connections_total');
 
   state.connections.set(ws, {
     connectedAt: Date.now(),
     ip
   });
 
-  // Handle messages
+  // Handle messages - anything that isn't a valid request gets an error
+  // reply with a code instead of being dropped
   ws.on('message', (message) => {
+    const connData = state.connections.get(ws);
+    if (!connData || ws.readyState !== WebSocket.OPEN) return;
+
+    // Only the first message over the limit is answered, so a flood
+    // doesn't turn into a flood of error replies
+    if (!limits.allowMessage(connData)) {
+      if (!connData.rateLimited) {
+        connData.rateLimited = true;
+        limits.recordViolation(ws, ip, 'rateLimit', 'RATE_LIMITED');
+      }
+      return;
+    }
+    connData.rateLimited = false;
+
+    if (message.length > protocol.LIMITS.MAX_MESSAGE_BYTES) {
+      limits.recordViolation(ws, ip, 'oversized', 'MESSAGE_TOO_LARGE');
+      return;
+    }
+
+    let data;
     try {
-      const data = JSON.parse(message);
-      const handler = handlers[data.type];
+      data = JSON.parse(message);
+    } catch (err) {
+      limits.recordViolation(ws, ip, 'invalidMessage', 'BAD_JSON');
+      return;
+    }
 
-      if (handler) {
-        handler(ws, data);
-      } else {
-        console.log(`⚠️  Unknown message type: ${data.type}`);
-      }
+    const requestType = typeof data?.type === 'string' ? data.type.slice(0, 32) : null;
+    const problem = protocol.validate('client', data);
+    if (problem) {
+      console.log(`⚠️  Rejected ${requestType || 'message'} from ${ip}: ${problem.message}`);
+      limits.recordViolation(ws, ip, 'invalidMessage', problem.code, {
+        message: problem.code === 'INVALID_MESSAGE' ? problem.message : null,
+        field: problem.field,
+        requestType
+      });
+      return;
+    }
+
+    // Pages too old to say hello are stale copies that need a refresh; the
+    // close code is all a page from before the schema will notice
+    if (data.type !== 'hello' && !connData.protocolVersion) {
+      utils.sendError(ws, 'UNSUPPORTED_VERSION', { requestType });
+      ws.close(4000, 'UNSUPPORTED_VERSION');
+      return;
+    }
+
+    metrics.inc('messages_total', { type: data.type });
+    try {
+      handlers[data.type](ws, data);
     } catch (err) {
-      console.error('❌ Message parsing error:', err);
+      console.error(`❌ Error handling ${data.type}:`, err);
     }
   });
 
-  // Handle disconnection
+  // Handle disconnection - players in a running game get a grace period
   ws.on('close', () => {
     console.log(`❌ Client disconnected from ${ip}`);
-    utils.cleanupConnection(ws);
+    limits.release(ip);
+    if (utils.holdSeat(ws)) {
+      metrics.inc('play_disconnects_total');
+    } else {
+      utils.cleanupConnection(ws);
+    }
   });
 
-  // Handle errors
+  // Handle errors ('close' always follows, which does the cleanup)
   ws.on('error', (err) => {
     console.error('❌ WebSocket error:', err.message);
-    utils.cleanupConnection(ws);
+    if (err.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+      limits.count('oversized');
+    }
   });
 
   // Send initial connection confirmation
-  utils.sendToClient(ws, { type: 'connected' });
+  utils.sendToClient(ws, {
+    type: 'connected',
+    protocolVersion: protocol.VERSION,
+    minProtocolVersion: protocol.MIN_VERSION
+  });
+  if (state.draining) drain.notify(ws);
 });
 
 // ==================== PERIODIC CLEANUP ====================
-setInterval(() => {
+const cleanupRooms = () => {
   const now = Date.now();
 
   // Clean up old or invalid rooms
   for (const [roomId, room] of state.privateRooms.entries()) {
     const age = now - room.createdAt;
-    const hasDisconnected = room.players.some(p => p.readyState !== WebSocket.OPEN);
-    const isEmpty = room.players.length === 0;
+    const hasDisconnected = room.players.some(p => p.readyState !== WebSocket.OPEN && !utils.isSeatHeld(p));
+    const isEmpty = !utils.hasHumans(room);
 
     // Remove rooms that are: old (1hr+), have disconnected players, or are empty
     if (age > 3600000 || hasDisconnected || isEmpty) {
-      if (room.countdownInterval) {
-        clearInterval(room.countdownInterval);
-      }
-      state.privateRooms.delete(roomId);
+      utils.deleteRoom(roomId, room);
       console.log(`🧹 Cleaned up old room: ${roomId}`);
     }
   }
@@ -639,42 +2461,299 @@ setInterval(() => {
   // Clean up disconnected clients from queue
   state.publicQueue = state.publicQueue.filter(ws => ws.readyState === WebSocket.OPEN);
 
-}, 60000); // Every minute
+  limits.prune();
+};
 
 // ==================== HEARTBEAT ====================
-setInterval(() => {
+const heartbeat = () => {
   wss.clients.forEach(ws => {
     if (ws.readyState === WebSocket.OPEN) {
       ws.ping();
     }
   });
-}, CONFIG.PING_INTERVAL);
+};
+
+// ==================== DRAIN & SNAPSHOTS ====================
+// A drain lets running games finish before a deploy: no new rooms or
+// games start, and the server shuts down once the tables are empty or
+// the deadline passes
+const drain = {
+  checkInterval: null,
+
+  start(timeoutMs = CONFIG.DRAIN_TIMEOUT) {
+    if (state.draining) return state.draining;
+
+    const now = Date.now();
+    state.draining = { startedAt: now, deadline: now + timeoutMs };
+    console.log(`🚰 Draining: waiting up to ${Math.round(timeoutMs / 1000)}s for ${drain.getRunningRooms().length} running games`);
+
+    wss.clients.forEach(ws => drain.notify(ws));
+    state.publicQueue.forEach(ws => utils.sendError(ws, 'SERVER_DRAINING', { requestType: 'joinPublic' }));
+    state.publicQueue = [];
+    drain.checkInterval = setInterval(drain.check, CONFIG.DRAIN_CHECK_INTERVAL);
+    return state.draining;
+  },
+
+  notify(ws) {
+    utils.sendToClient(ws, {
+      type: 'serverDraining',
+      remainingMs: Math.max(0, state.draining.deadline - Date.now())
+    });
+  },
+
+  // Rooms that would lose a game (or a match between rounds) on shutdown
+  getRunningRooms() {
+    return [...state.privateRooms.values()].filter(room => (
+      room.game && (room.game.winner === null || utils.isMatchRunning(room))
+    ));
+  },
+
+  check() {
+    const running = drain.getRunningRooms().length;
+    if (running === 0) {
+      console.log('✅ Drain complete - no games running');
+      shutdown();
+    } else if (Date.now() >= state.draining.deadline) {
+      console.log(`⌛ Drain deadline passed with ${running} games still running`);
+      shutdown();
+    }
+  }
+};
+
+// Running games are written out on shutdown and seated again at startup.
+// Sockets can't be saved, so every human seat comes back as a stand-in
+// that is held like a dropped connection until its owner resumes
+const snapshot = {
+  serializeRoom(room) {
+    const seatOf = player => room.seats.indexOf(player);
+    return {
+      id: room.id,
+      isPrivate: room.isPrivate,
+      createdAt: room.createdAt,
+      tableSize: room.tableSize || null,
+      host: seatOf(room.host),
+      locked: !!room.locked,
+      password: room.password || null,
+      turnTimeout: room.turnTimeout,
+      timeoutPolicy: room.timeoutPolicy,
+      variant: room.variant,
+      match: room.match,
+      rematches: room.rematches || 0,
+      seatIds: room.seatIds,
+      // null marks a seat whose player has left
+      seats: room.seats.map(player => {
+        const pData = state.connections.get(player);
+        if (!pData || !room.players.includes(player)) return null;
+        if (player.isBot) return { botLevel: player.botLevel, botName: pData.botName };
+        return {
+          displayName: pData.displayName,
+          playerId: pData.playerId || null,
+          sessionToken: pData.sessionToken || null
+        };
+      }),
+      muted: [...room.muted].map(seatOf).filter(seat => seat !== -1),
+      autopilot: [...room.autopilot],
+      turnTimeouts: room.turnTimeouts,
+      game: room.game,
+      gameLog: room.gameLog,
+      actionSeq: room.actionSeq || 0,
+      matchState: room.matchState && {
+        ...room.matchState,
+        entries: room.matchState.entries.map(entry => ({ ...entry, player: seatOf(entry.player) }))
+      }
+    };
+  },
+
+  // Returns the rooms that were saved
+  save() {
+    const rooms = drain.getRunningRooms();
+    if (!CONFIG.SNAPSHOT_ROOMS || rooms.length === 0) return [];
+
+    try {
+      const tmpFile = `${CONFIG.SNAPSHOT_FILE}.tmp`;
+      fs.mkdirSync(path.dirname(CONFIG.SNAPSHOT_FILE), { recursive: true });
+      fs.writeFileSync(tmpFile, JSON.stringify({
+        version: 1,
+        savedAt: Date.now(),
+        rooms: rooms.map(snapshot.serializeRoom)
+      }));
+      fs.renameSync(tmpFile, CONFIG.SNAPSHOT_FILE);
+      console.log(`💾 Saved ${rooms.length} running games to ${CONFIG.SNAPSHOT_FILE}`);
+      return rooms;
+    } catch (err) {
+      console.error('❌ Failed to save snapshot:', err.message);
+      return [];
+    }
+  },
+
+  load() {
+    if (!CONFIG.SNAPSHOT_ROOMS || !fs.existsSync(CONFIG.SNAPSHOT_FILE)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(CONFIG.SNAPSHOT_FILE, 'utf8'));
+      // A snapshot is good for one restart only
+      fs.unlinkSync(CONFIG.SNAPSHOT_FILE);
+      if (Date.now() - data.savedAt > CONFIG.SNAPSHOT_MAX_AGE) {
+        console.log('💾 Ignoring a stale snapshot');
+        return;
+      }
+      data.rooms.forEach(snapshot.restoreRoom);
+      console.log(`💾 Restored ${data.rooms.length} games from snapshot`);
+    } catch (err) {
+      console.error('❌ Failed to load snapshot:', err.message);
+    }
+  },
+
+  restoreRoom(saved) {
+    const seats = saved.seats.map(seat => {
+      if (seat?.botLevel) return utils.createBot(saved.id, seat.botLevel, seat.botName);
+
+      const standIn = {
+        readyState: WebSocket.CLOSED,
+        send() {},
+        close() {},
+        terminate() {}
+      };
+      if (!seat) return standIn;
+
+      const connData = {
+        roomId: saved.id,
+        displayName: seat.displayName,
+        playerId: seat.playerId,
+        sessionToken: seat.sessionToken,
+        connectedAt: Date.now()
+      };
+      connData.graceTimeout = setTimeout(() => {
+        console.log(`⌛ ${seat.displayName || 'Player'} did not come back to room ${saved.id}`);
+        utils.cleanupConnection(standIn);
+      }, CONFIG.SNAPSHOT_RESUME_GRACE);
+      state.connections.set(standIn, connData);
+      if (seat.sessionToken) state.sessions.set(seat.sessionToken, { ws: standIn });
+      return standIn;
+    });
+
+    const players = seats.filter((player, seat) => saved.seats[seat]);
+    const room = {
+      id: saved.id,
+      players,
+      isPrivate: saved.isPrivate,
+      createdAt: saved.createdAt,
+      tableSize: saved.tableSize || null,
+      host: seats[saved.host] || null,
+      locked: !!saved.locked,
+      password: saved.password || null,
+      gameStarted: true,
+      readyPlayers: new Set(players),
+      spectators: new Set(),
+      muted: new Set(saved.muted.map(seat => seats[seat])),
+      turnTimeout: saved.turnTimeout,
+      timeoutPolicy: saved.timeoutPolicy,
+      variant: saved.variant,
+      match: saved.match,
+      rematches: saved.rematches || 0,
+      seats,
+      seatIds: saved.seatIds,
+      game: saved.game,
+      gameLog: saved.gameLog,
+      actionSeq: saved.actionSeq || 0,
+      autopilot: new Set(saved.autopilot),
+      turnTimeouts: saved.turnTimeouts,
+      matchState: saved.matchState && {
+        ...saved.matchState,
+        entries: saved.matchState.entries.map(entry => ({ ...entry, player: seats[entry.player] || null }))
+      }
+    };
+    room.turnStartedAt = Date.now();
+    state.privateRooms.set(room.id, room);
+
+    if (room.game.winner === null) {
+      utils.startTurnClock(room);
+      utils.scheduleBotTurn(room);
+    } else {
+      utils.scheduleNextRound(room);
+    }
+  }
+};
 
 // ==================== SERVER START ====================
-server.listen(CONFIG.PORT, () => {
-  console.log('');
-  console.log('👑 ================================');
-  console.log('   King in the Corner Server');
-  console.log('   ================================');
-  console.log('');
-  console.log(`   🌐 Protocol: ws://`);
-  console.log(`   📡 Port: ${CONFIG.PORT}`);
-  console.log(`   ⏱️  Ping interval: ${CONFIG.PING_INTERVAL}ms`);
-  console.log(`   🔒 TLS: Handled by Cloudflared`);
-  console.log('');
-  console.log('   Ready for connections!');
-  console.log('👑 ================================');
-  console.log('');
+// Running the file starts the server; scripts that require() it call
+// start() themselves, usually with port 0 for a free one
+const intervals = [];
+
+const start = (port = CONFIG.PORT) => new Promise((resolve, reject) => {
+  stats.load();
+  snapshot.load();
+
+  intervals.push(
+    setInterval(() => matchmaking.match(), CONFIG.QUEUE_MATCH_INTERVAL),
+    setInterval(() => matchmaking.sendUpdates(), CONFIG.QUEUE_UPDATE_INTERVAL),
+    setInterval(cleanupRooms, CONFIG.CLEANUP_INTERVAL),
+    setInterval(heartbeat, CONFIG.PING_INTERVAL)
+  );
+
+  server.once('error', reject);
+  server.listen(port, () => {
+    const actualPort = server.address().port;
+    console.log('');
+    console.log('👑 ================================');
+    console.log('   King in the Corner Server');
+    console.log('   ================================');
+    console.log('');
+    console.log(`   🌐 Protocol: ws://`);
+    console.log(`   📡 Port: ${actualPort}`);
+    console.log(`   ⏱️  Ping interval: ${CONFIG.PING_INTERVAL}ms`);
+    console.log(`   🔒 TLS: Handled by Cloudflared`);
+    if (CONFIG.SERVE_WEB) console.log(`   🃏 Web client: http://localhost:${actualPort}/`);
+    console.log('');
+    console.log('   Ready for connections!');
+    console.log('👑 ================================');
+    console.log('');
+    resolve(actualPort);
+  });
+});
+
+// Tears everything down without exiting the process: timers, rooms and
+// sockets. Clients get no goodbye message, their connections just end
+const stop = () => new Promise(resolve => {
+  intervals.splice(0).forEach(clearInterval);
+  clearInterval(drain.checkInterval);
+  drain.checkInterval = null;
+
+  // As on shutdown, so the next start() in this process seats them again
+  snapshot.save();
+
+  for (const [roomId, room] of state.privateRooms.entries()) {
+    utils.deleteRoom(roomId, room);
+  }
+  state.connections.forEach(connData => {
+    clearTimeout(connData.readyTimeout);
+    clearTimeout(connData.graceTimeout);
+  });
+  state.connections.clear();
+  state.sessions.clear();
+  state.publicQueue = [];
+  state.draining = null;
+  stats.save();
+
+  wss.clients.forEach(ws => ws.terminate());
+  server.close(() => resolve());
 });
 
 // ==================== GRACEFUL SHUTDOWN ====================
+let shuttingDown = false;
+
 const shutdown = () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
   console.log('\n🛑 Shutting down server...');
+  stats.save();
+  const savedRooms = snapshot.save();
 
-  // Notify all clients
+  // Notify all clients; players in a saved game resume after the restart
   wss.clients.forEach(ws => {
     if (ws.readyState === WebSocket.OPEN) {
-      utils.sendToClient(ws, { type: 'serverShutdown' });
+      const resumable = savedRooms.some(room => room.seats.includes(ws));
+      utils.sendToClient(ws, { type: 'serverShutdown', resumable });
       ws.close();
     }
   });
@@ -691,23 +2770,350 @@ const shutdown = () => {
   }, 5000);
 };
 
-process.on('SIGTERM', shutdown);
-process.on('SIGINT', shutdown);
+// ==================== ADMIN API ====================
+// Every route needs `Authorization: Bearer <ADMIN_TOKEN>`, except the
+// dashboard page itself, which holds no data and asks for the token
+const ADMIN_TIMERS = [
+  'countdownInterval', 'aloneTimeout', 'botTimeout', 'turnTimer', 'roundTimeout', 'rematchTimeout'
+];
+
+const admin = {
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    // Hash both sides so the comparison takes the same time for any input
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(token), hash(CONFIG.ADMIN_TOKEN));
+  },
+
+  readBody(req, callback) {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > CONFIG.MAX_PAYLOAD) req.destroy();
+    });
+    req.on('end', () => {
+      try {
+        callback(body ? JSON.parse(body) : {});
+      } catch (err) {
+        callback(null);
+      }
+    });
+  },
+
+  // Seated players once the game is on, so indexes match the table
+  getMembers(room) {
+    return room.gameStarted && room.seats ? room.seats : room.players;
+  },
+
+  describePlayer(room, player, index) {
+    const pData = state.connections.get(player);
+    return {
+      index,
+      name: pData?.displayName || `Player ${index + 1}`,
+      isBot: !!player.isBot,
+      isHost: room.host === player,
+      ip: pData?.ip || null,
+      present: room.players.includes(player),
+      connected: player.readyState === WebSocket.OPEN,
+      reconnecting: utils.isSeatHeld(player),
+      ready: room.readyPlayers.has(player)
+    };
+  },
+
+  describeRoom(room) {
+    return {
+      id: room.id,
+      isPrivate: room.isPrivate,
+      phase: utils.getRoomPhase(room),
+      ageMs: Date.now() - room.createdAt,
+      players: admin.getMembers(room).map((p, index) => admin.describePlayer(room, p, index)),
+      spectators: room.spectators.size,
+      timers: ADMIN_TIMERS.filter(key => room[key])
+    };
+  },
+
+  describeRoomDetail(room) {
+    const game = room.game;
+    return {
+      ...admin.describeRoom(room),
+      locked: !!room.locked,
+      hasPassword: !!room.password,
+      variant: room.variant,
+      turnTimeout: room.turnTimeout,
+      timeoutPolicy: room.timeoutPolicy,
+      turnDeadline: room.turnDeadline || null,
+      autopilot: [...room.autopilot || []],
+      match: utils.getMatchSummary(room),
+      game: game ? {
+        currentPlayer: game.currentPlayer,
+        deckCount: game.deck.length,
+        handCounts: game.playerHands.map(hand => hand.length),
+        departed: game.departed,
+        passes: game.passes || 0,
+        winner: game.winner,
+        actions: room.gameLog?.actions.length || 0
+      } : null
+    };
+  },
+
+  kickPlayer(room, player) {
+    const pData = state.connections.get(player);
+    if (!pData || !room.players.includes(player)) return 'That player is no longer in the room';
+    if (player.isBot && room.gameStarted) return 'Bots cannot be removed from a running game';
+    console.log(`🛡️  Admin kicked ${pData.displayName || 'a player'} from room ${room.id}`);
+    metrics.inc('kicks_total', { reason: 'admin' });
+
+    if (player.isBot) {
+      room.players = room.players.filter(p => p !== player);
+      room.readyPlayers.delete(player);
+      state.connections.delete(player);
+      utils.broadcastRoomUpdate(room.id, room);
+      return null;
+    }
+
+    utils.kickFromRoom(player, 'You were removed by an admin');
+    return null;
+  },
+
+  // Players stay connected and land back on the start screen
+  closeRoom(room) {
+    room.players.forEach(player => {
+      const pData = state.connections.get(player);
+      if (player.isBot || !pData) return;
+      clearTimeout(pData.readyTimeout);
+      if (pData.sessionToken) state.sessions.delete(pData.sessionToken);
+      if (pData.graceTimeout) {
+        clearTimeout(pData.graceTimeout);
+        state.connections.delete(player);
+        return;
+      }
+      Object.assign(pData, { roomId: null, sessionToken: null, readyTimeout: null });
+      utils.sendToClient(player, { type: 'kicked', reason: 'The room was closed by an admin' });
+    });
+    utils.deleteRoom(room.id, room);
+    console.log(`🛡️  Admin closed room ${room.id}`);
+  },
+
+  announce(text) {
+    let recipients = 0;
+    wss.clients.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN && state.connections.has(ws)) {
+        utils.sendToClient(ws, { type: 'announcement', text });
+        recipients++;
+      }
+    });
+    console.log(`📢 Admin announcement to ${recipients} clients: ${text}`);
+    return recipients;
+  },
+
+  handleRequest(req, res, pathname) {
+    if (!CONFIG.ADMIN_TOKEN) {
+      utils.sendJson(res, 404, { error: 'The admin API is disabled' });
+      return;
+    }
+
+    if (pathname === '/admin' && req.method === 'GET') {
+      fs.readFile(CONFIG.ADMIN_DASHBOARD, (err, html) => {
+        if (err) {
+          utils.sendJson(res, 500, { error: 'Dashboard is missing' });
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(html);
+      });
+      return;
+    }
+
+    if (!admin.isAuthorized(req)) {
+      console.log(`🔒 Refused admin request ${req.method} ${pathname}`);
+      utils.sendJson(res, 401, { error: 'Missing or invalid admin token' });
+      return;
+    }
+
+    const roomMatch = pathname.match(/^\/admin\/rooms\/([^/]+)(?:\/(kick|close))?$/);
+    const room = roomMatch && state.privateRooms.get(roomMatch[1]);
+
+    if (pathname === '/admin/rooms' && req.method === 'GET') {
+      utils.sendJson(res, 200, {
+        publicQueue: state.publicQueue.length,
+        rooms: [...state.privateRooms.values()].map(admin.describeRoom)
+      });
+    } else if (roomMatch && !room) {
+      utils.sendJson(res, 404, { error: 'Room not found' });
+    } else if (roomMatch && !roomMatch[2] && req.method === 'GET') {
+      utils.sendJson(res, 200, admin.describeRoomDetail(room));
+    } else if (roomMatch?.[2] === 'kick' && req.method === 'POST') {
+      admin.readBody(req, body => {
+        const player = admin.getMembers(room)[body?.playerIndex];
+        const problem = player ? admin.kickPlayer(room, player) : 'Unknown playerIndex';
+        if (problem) utils.sendJson(res, 400, { error: problem });
+        else utils.sendJson(res, 200, { ok: true });
+      });
+    } else if (roomMatch?.[2] === 'close' && req.method === 'POST') {
+      admin.closeRoom(room);
+      utils.sendJson(res, 200, { ok: true });
+    } else if (pathname === '/admin/drain' && req.method === 'POST') {
+      admin.readBody(req, body => {
+        const timeoutMs = Number.isInteger(body?.timeoutMs) && body.timeoutMs >= 0 ? body.timeoutMs : undefined;
+        utils.sendJson(res, 202, {
+          draining: drain.start(timeoutMs),
+          runningGames: drain.getRunningRooms().length
+        });
+      });
+    } else if (pathname === '/admin/announce' && req.method === 'POST') {
+      admin.readBody(req, body => {
+        const text = typeof body?.text === 'string' ? body.text.trim() : '';
+        if (!text || text.length > protocol.LIMITS.ANNOUNCEMENT_MAX_LENGTH) {
+          utils.sendJson(res, 400, {
+            error: `text must be 1-${protocol.LIMITS.ANNOUNCEMENT_MAX_LENGTH} characters`
+          });
+          return;
+        }
+        utils.sendJson(res, 200, { ok: true, recipients: admin.announce(text) });
+      });
+    } else {
+      utils.sendJson(res, 404, { error: 'Unknown admin route' });
+    }
+  }
+};
+
+// ==================== WEB CLIENT (HTTP) ====================
+// The page and its scripts straight from web/, so a LAN or offline
+// server needs nothing else. The page works out the WebSocket URL from
+// the address it was loaded from
+const webClient = {
+  TYPES: {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+  },
+
+  // The file a request path points to, or null for anything outside
+  // WEB_ROOT, hidden, or of a type we don't serve
+  resolve(pathname) {
+    let relative;
+    try {
+      relative = decodeURIComponent(pathname);
+    } catch (err) {
+      return null;
+    }
+    if (relative.endsWith('/')) relative += 'index.html';
+    if (relative.includes('\0') || relative.split('/').some(part => part.startsWith('.'))) return null;
+
+    const file = path.join(CONFIG.WEB_ROOT, relative);
+    if (!file.startsWith(CONFIG.WEB_ROOT + path.sep)) return null;
+    // The dashboard is only handed out at /admin, and only with a token set
+    if (file === CONFIG.ADMIN_DASHBOARD) return null;
+    return webClient.TYPES[path.extname(file)] ? file : null;
+  },
+
+  // The page and scripts aren't versioned and must match each other, so
+  // browsers check back every time and get a 304 when nothing changed
+  cacheControl(file) {
+    return ['.html', '.js'].includes(path.extname(file))
+      ? 'no-cache'
+      : `public, max-age=${CONFIG.STATIC_MAX_AGE}`;
+  },
+
+  serve(req, res, pathname) {
+    const file = webClient.resolve(pathname);
+    const notFound = () => {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+    };
+    if (!file) {
+      notFound();
+      return;
+    }
+
+    fs.stat(file, (err, stat) => {
+      if (err || !stat.isFile()) {
+        notFound();
+        return;
+      }
+
+      const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+      const headers = {
+        'Cache-Control': webClient.cacheControl(file),
+        ETag: etag,
+        'X-Content-Type-Options': 'nosniff'
+      };
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+
+      res.writeHead(200, { ...headers, 'Content-Type': webClient.TYPES[path.extname(file)], 'Content-Length': stat.size });
+      if (req.method === 'HEAD') {
+        res.end();
+        return;
+      }
+      fs.createReadStream(file)
+        .on('error', streamErr => {
+          console.error(`❌ Failed to send ${file}:`, streamErr.message);
+          res.destroy();
+        })
+        .pipe(res);
+    });
+  }
+};
 
 // ==================== STATUS ENDPOINT (HTTP) ====================
 server.on('request', (req, res) => {
-  if (req.url === '/status' || req.url === '/health') {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const gameMatch = pathname.match(/^\/games\/([a-f0-9]+)$/);
+  const playerMatch = pathname.match(/^\/players\/([A-Za-z0-9-]+)\/stats$/);
+
+  if (pathname === '/status' || pathname === '/health') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
-      status: 'ok',
+      status: state.draining ? 'draining' : 'ok',
       uptime: process.uptime(),
       connections: wss.clients.size,
       publicQueue: state.publicQueue.length,
       rooms: state.privateRooms.size,
+      finishedGames: state.finishedGames.size,
+      protocolVersion: protocol.VERSION,
+      draining: state.draining,
+      ...limits.getStatus(),
       timestamp: new Date().toISOString()
     }));
+  } else if (gameMatch) {
+    // Finished game logs, for replays and settling disputes
+    const log = state.finishedGames.get(gameMatch[1]);
+    utils.sendJson(res, log ? 200 : 404, log || { error: 'Game not found' });
+  } else if (playerMatch) {
+    const summary = stats.getSummary(playerMatch[1]);
+    utils.sendJson(res, summary ? 200 : 404, summary || { error: 'No games recorded for this player' });
+  } else if (pathname === '/admin' || pathname.startsWith('/admin/')) {
+    admin.handleRequest(req, res, pathname);
+  } else if (pathname === '/metrics') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(metrics.render());
+  } else if (pathname === '/leaderboard') {
+    const requested = parseInt(searchParams.get('limit'), 10) || CONFIG.LEADERBOARD_SIZE;
+    const limit = Math.max(1, Math.min(CONFIG.LEADERBOARD_MAX, requested));
+    utils.sendJson(res, 200, { players: stats.getLeaderboard(limit) });
+  } else if (CONFIG.SERVE_WEB && (req.method === 'GET' || req.method === 'HEAD')) {
+    webClient.serve(req, res, pathname);
   } else {
     res.writeHead(200, { 'Content-Type': 'text/plain' });
     res.end('King in the Corner WebSocket Server\n');
   }
 });
+
+// ==================== ENTRY POINT ====================
+if (require.main === module) {
+  start();
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+  process.on('SIGUSR2', () => drain.start());
+}
+
+module.exports = { CONFIG, state, start, stop };
@@ -0,0 +1,300 @@
+/**
+ * King in the Corner - Protocol Client
+ *
+ * One connection to the game server, shared by the browser page and by
+ * Node scripts. It answers the server's `connected` with a `hello`, keeps
+ * track of the room, seat and session it has been given, and hands every
+ * incoming message to listeners registered for its type. Requests are
+ * plain methods (joinPublic, createPrivate, draw, rematchVote, ...); ones
+ * made before the server has been greeted are sent right after the hello.
+ *
+ * Events: every server message type (see SERVER_MESSAGES in protocol.js),
+ * plus 'message' for all of them, and 'open', 'close' and 'error'.
+ *
+ * Node has no global WebSocket, so scripts pass the `ws` package's class:
+ *   KingClient.create(url, { WebSocket: require('ws') })
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./protocol.js'));
+  } else {
+    root.KingClient = factory(root.KingProtocol);
+  }
+})(typeof self !== 'undefined' ? self : this, function (protocol) {
+  'use strict';
+
+  const CONNECTING = 0;
+  const OPEN = 1;
+
+  // Messages that tell us which room we are in
+  const ROOM_MESSAGES = ['roomCreated', 'roomUpdate', 'gameStart', 'spectateStart', 'resumed', 'rematchUpdate', 'session'];
+
+  const methods = {
+    // ==================== EVENTS ====================
+    // Returns a function that removes the listener again
+    on(event, callback) {
+      if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+      this.listeners.get(event).add(callback);
+      return () => this.off(event, callback);
+    },
+
+    off(event, callback) {
+      this.listeners.get(event)?.delete(callback);
+    },
+
+    emit(event, data) {
+      [...(this.listeners.get(event) || [])].forEach(callback => {
+        try {
+          callback(data);
+        } catch (err) {
+          console.error(`❌ Error in ${event} listener:`, err);
+        }
+      });
+    },
+
+    /**
+     * Resolves with the next message of a type that passes the filter, for
+     * scripts that step through a scenario. `latest` has the last message
+     * of each type for anything that may already have arrived.
+     */
+    next(type, filter = () => true, timeoutMs = 10000) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          stop();
+          reject(new Error(`Timed out waiting for ${type}`));
+        }, timeoutMs);
+        const stop = this.on(type, data => {
+          if (!filter(data)) return;
+          clearTimeout(timer);
+          stop();
+          resolve(data);
+        });
+      });
+    },
+
+    // ==================== CONNECTION ====================
+    isOpen() {
+      return this.ws.readyState === OPEN;
+    },
+
+    send(data) {
+      const problem = this.checkOutgoing && protocol.validate('client', data);
+      if (problem) {
+        console.warn(`⚠️  Sending an invalid ${data.type}: ${problem.message}`);
+      }
+
+      if (this.ws.readyState !== CONNECTING && this.ws.readyState !== OPEN) return false;
+
+      // The server ignores everything until it has had our hello
+      if (!this.greeted && data.type !== 'hello') {
+        this.pending.push(data);
+        return true;
+      }
+
+      this.ws.send(JSON.stringify(data));
+      return true;
+    },
+
+    close() {
+      this.pending = [];
+      this.ws.close();
+    },
+
+    handleMessage(data) {
+      // Outside the server's supported range we stay quiet and let the
+      // page ask for a refresh
+      if (data.type === 'connected' && protocol.VERSION >= data.minProtocolVersion &&
+        protocol.VERSION <= data.protocolVersion) {
+        this.send({ type: 'hello', protocolVersion: protocol.VERSION });
+        this.greeted = true;
+        this.pending.splice(0).forEach(request => this.send(request));
+      }
+      if (data.type === 'session') this.sessionToken = data.token;
+      if (ROOM_MESSAGES.includes(data.type)) this.roomId = data.roomId;
+      if (data.myPlayerIndex !== undefined) this.playerIndex = data.myPlayerIndex;
+      if (data.type === 'kicked') this.forgetRoom();
+
+      this.latest[data.type] = data;
+      this.emit('message', data);
+      this.emit(data.type, data);
+    },
+
+    // ==================== REQUESTS ====================
+    // ---------- Joining ----------
+    joinPublic(displayName, { playerId = null, tableSize = null } = {}) {
+      return this.send({ type: 'joinPublic', displayName, playerId, tableSize });
+    },
+
+    leaveQueue() {
+      return this.send({ type: 'leaveQueue' });
+    },
+
+    // Options: roomId, playerId, turnSeconds, timeoutPolicy, variant, match
+    createPrivate(displayName, options = {}) {
+      return this.send({ type: 'createPrivate', displayName, ...options });
+    },
+
+    joinPrivate(roomId, displayName, { playerId = null, password = null } = {}) {
+      return this.send({ type: 'joinPrivate', roomId, displayName, playerId, password });
+    },
+
+    spectate(roomId, displayName = null) {
+      return this.send({ type: 'spectate', roomId, displayName });
+    },
+
+    resume(token = this.sessionToken) {
+      return this.send({ type: 'resume', token });
+    },
+
+    // ---------- Waiting room ----------
+    ready() {
+      return this.send({ type: 'playerReady', roomId: this.roomId });
+    },
+
+    startGame() {
+      return this.send({ type: 'startGame', roomId: this.roomId });
+    },
+
+    addBot(level = 'medium') {
+      return this.send({ type: 'addBot', level });
+    },
+
+    removeBot(playerIndex) {
+      return this.send({ type: 'removeBot', playerIndex });
+    },
+
+    setVariant(variant) {
+      return this.send({ type: 'setVariant', variant });
+    },
+
+    setMatch(match) {
+      return this.send({ type: 'setMatch', match });
+    },
+
+    // ---------- Host controls ----------
+    mutePlayer(playerIndex, muted = true) {
+      return this.send({ type: 'mutePlayer', playerIndex, muted });
+    },
+
+    kickPlayer(playerIndex) {
+      return this.send({ type: 'kickPlayer', playerIndex });
+    },
+
+    transferHost(playerIndex) {
+      return this.send({ type: 'transferHost', playerIndex });
+    },
+
+    setRoomLock(locked) {
+      return this.send({ type: 'setRoomLock', locked });
+    },
+
+    setRoomPassword(password) {
+      return this.send({ type: 'setRoomPassword', password: password || null });
+    },
+
+    moveSeat(playerIndex, toIndex) {
+      return this.send({ type: 'moveSeat', playerIndex, toIndex });
+    },
+
+    // ---------- Playing ----------
+    gameAction(action) {
+      return this.send({ type: 'gameAction', action });
+    },
+
+    draw() {
+      return this.gameAction({ type: 'draw' });
+    },
+
+    play(card, pile) {
+      return this.gameAction({ type: 'play', card, pile });
+    },
+
+    movePile(from, to) {
+      return this.gameAction({ type: 'movePile', from, to });
+    },
+
+    endTurn() {
+      return this.gameAction({ type: 'endTurn' });
+    },
+
+    undo() {
+      return this.gameAction({ type: 'undo' });
+    },
+
+    takeControl() {
+      return this.send({ type: 'takeControl' });
+    },
+
+    // Our copy of the game went wrong; the server answers with a `resync`
+    // holding the whole view and the action count it's at
+    resync(reason, seq = null) {
+      return this.send({ type: 'resync', reason, seq });
+    },
+
+    chat(text) {
+      return this.send({ type: 'chat', text });
+    },
+
+    emote(emote) {
+      return this.send({ type: 'chat', emote });
+    },
+
+    // ---------- After the game ----------
+    rematchVote() {
+      return this.send({ type: 'rematchVote', roomId: this.roomId });
+    },
+
+    leaveRoom() {
+      const sent = this.send({ type: 'leaveRoom', roomId: this.roomId });
+      this.forgetRoom();
+      return sent;
+    },
+
+    forgetRoom() {
+      this.roomId = null;
+      this.sessionToken = null;
+      this.playerIndex = null;
+    }
+  };
+
+  return {
+    /**
+     * Connect to a server. Options:
+     * - WebSocket: socket class, required outside the browser
+     * - checkOutgoing: warn about requests that break the schema (default true)
+     */
+    create(url, options = {}) {
+      const Socket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+      if (!Socket) throw new Error('KingClient needs a WebSocket class outside the browser');
+
+      const client = Object.assign(Object.create(methods), {
+        url,
+        ws: new Socket(url),
+        checkOutgoing: options.checkOutgoing !== false,
+        listeners: new Map(), // event -> Set of callbacks
+        pending: [], // requests made before the hello
+        greeted: false, // hello sent, so the server takes requests
+        latest: {}, // message type -> last one received
+        roomId: null,
+        sessionToken: null,
+        playerIndex: null // -1 while spectating
+      });
+
+      client.ws.addEventListener('open', () => client.emit('open'));
+      client.ws.addEventListener('message', event => {
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch (err) {
+          console.error('❌ Unreadable message from server:', err);
+          return;
+        }
+        client.handleMessage(data);
+      });
+      client.ws.addEventListener('error', err => client.emit('error', err));
+      client.ws.addEventListener('close', event => client.emit('close', event));
+
+      return client;
+    }
+  };
+});
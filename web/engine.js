@@ -0,0 +1,722 @@
+/**
+ * King in the Corner - Rules Engine
+ *
+ * Shared by the server (authoritative dealing and move validation) and
+ * the browser client (move previews and highlighting). Everything in here
+ * is a pure function over plain objects: no DOM, no sockets, no timers.
+ *
+ * Game state shape (field names match the client's state.game):
+ * - deck: remaining draw pile, top card is the last element
+ * - piles: 9 piles - corners (0,2,6,8), foundations (1,3,5,7), center (4)
+ * - playerHands: one array of cards per seat
+ * - activePlayers, currentPlayer, hasDrawn, hasPlayed
+ * - turnMoves: plays and pile moves made this turn, newest last, so they
+ *   can be undone until the turn ends
+ * - departed: seats that left the game and are skipped in turn order
+ * - winner: seat index once someone empties their hand, otherwise null
+ * - variant: the house rules the game is played with (see DEFAULT_VARIANT)
+ *
+ * Game logs (see createLog) hold a copy of the initial deal plus every
+ * action in order, which is enough to rebuild any point of a game.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.KingEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ==================== RULES ====================
+  const RULES = {
+    CARD_SUITS: ['♠', '♥', '♦', '♣'],
+    CARD_RANKS: ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'],
+    RANK_VALUES: { 'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13 },
+    INITIAL_HAND_SIZE: 7,
+    CORNER_POSITIONS: [0, 2, 6, 8],
+    FOUNDATION_POSITIONS: [1, 3, 5, 7],
+    DRAW_PILE: 4,
+    PILE_COUNT: 9
+  };
+
+  // ==================== HOUSE RULES ====================
+  // Standard rules; private rooms can override any of these
+  const DEFAULT_VARIANT = {
+    handSize: RULES.INITIAL_HAND_SIZE,
+    decks: 1,
+    drawUntilPlayable: false, // Keep drawing until you hold a playable card
+    penaltyDraw: false, // Invalid plays cost a card from the deck
+    anyCardOnCorner: false, // Empty corners take any card, not just Kings
+    pileMoves: true,
+    undo: true // Take back plays and pile moves until the turn ends
+  };
+
+  const VARIANT_LIMITS = {
+    handSize: [5, 10],
+    decks: [1, 2]
+  };
+
+  // ==================== MATCHES ====================
+  // A match is several rounds; losers take penalty points for the cards
+  // left in their hand and the lowest total wins
+  const MATCH_MODES = ['single', 'rounds', 'target'];
+
+  const DEFAULT_MATCH = {
+    mode: 'single',
+    rounds: 3, // 'rounds': play this many rounds
+    targetScore: 50, // 'target': play until someone reaches this many points
+    kingPoints: 10,
+    cardPoints: 1
+  };
+
+  const MATCH_LIMITS = {
+    rounds: [2, 10],
+    targetScore: [10, 500],
+    kingPoints: [0, 50],
+    cardPoints: [0, 10]
+  };
+
+  // Bump LOG_VERSION whenever the log layout changes
+  const LOG_FORMAT = 'kitc-game-log';
+  const LOG_VERSION = 4; // 2: house rules in the deal, penalty actions; 3: stalemates; 4: undo
+
+  // ==================== BOT STRATEGIES ====================
+  // Each takes the legal moves and returns one of them, or null to stop
+  const onFilledPile = piles => move => move.type === 'play' && piles[move.pile].length > 0;
+  const byHighestCard = (a, b) => RULES.RANK_VALUES[b.card.rank] - RULES.RANK_VALUES[a.card.rank];
+
+  const BOT_STRATEGIES = {
+    // Random card plays, never moves piles, and sometimes stops early
+    easy(moves, piles, random) {
+      const plays = moves.filter(move => move.type === 'play');
+      if (plays.length === 0 || random() < 0.25) return null;
+      return plays[Math.floor(random() * plays.length)];
+    },
+
+    // Kings first, then the highest card that fits anywhere
+    medium(moves) {
+      const plays = moves.filter(move => move.type === 'play').sort(byHighestCard);
+      return plays.find(move => move.card.rank === 'K') || plays[0] || null;
+    },
+
+    // Consolidate piles to open foundations, build on existing piles, and
+    // only start an empty foundation with the highest card available
+    hard(moves, piles) {
+      const pileMove = moves.find(move => move.type === 'movePile');
+      if (pileMove) return pileMove;
+
+      const plays = moves.filter(move => move.type === 'play').sort(byHighestCard);
+      return plays.find(move => move.card.rank === 'K') ||
+        plays.find(onFilledPile(piles)) ||
+        plays[0] ||
+        null;
+    }
+  };
+
+  // ==================== ENGINE ====================
+  const engine = {
+    RULES,
+    DEFAULT_VARIANT,
+    VARIANT_LIMITS,
+    MATCH_MODES,
+    DEFAULT_MATCH,
+    MATCH_LIMITS,
+    LOG_FORMAT,
+    LOG_VERSION,
+
+    // ---------- House Rules ----------
+
+    // Fill in defaults and clamp anything out of range or of the wrong type
+    normalizeVariant(options = {}) {
+      const variant = { ...DEFAULT_VARIANT };
+      if (!options || typeof options !== 'object') return variant;
+
+      Object.entries(VARIANT_LIMITS).forEach(([key, [min, max]]) => {
+        const value = parseInt(options[key], 10);
+        if (Number.isInteger(value)) variant[key] = Math.max(min, Math.min(max, value));
+      });
+      ['drawUntilPlayable', 'penaltyDraw', 'anyCardOnCorner', 'pileMoves', 'undo'].forEach(key => {
+        if (typeof options[key] === 'boolean') variant[key] = options[key];
+      });
+      return variant;
+    },
+
+    // Games dealt before variants existed (old logs) play by the defaults
+    getVariant(game) {
+      return game.variant || DEFAULT_VARIANT;
+    },
+
+    // ---------- Matches ----------
+    normalizeMatch(options = {}) {
+      const match = { ...DEFAULT_MATCH };
+      if (!options || typeof options !== 'object') return match;
+
+      if (MATCH_MODES.includes(options.mode)) match.mode = options.mode;
+      Object.entries(MATCH_LIMITS).forEach(([key, [min, max]]) => {
+        const value = parseInt(options[key], 10);
+        if (Number.isInteger(value)) match[key] = Math.max(min, Math.min(max, value));
+      });
+      return match;
+    },
+
+    // Penalty points for the cards left in a hand at the end of a round
+    scoreHand(hand, match = DEFAULT_MATCH) {
+      return hand.reduce((total, card) => total + (card.rank === 'K' ? match.kingPoints : match.cardPoints), 0);
+    },
+
+    isMatchOver(match, roundsPlayed, scores) {
+      if (match.mode === 'rounds') return roundsPlayed >= match.rounds;
+      if (match.mode === 'target') return scores.some(score => score >= match.targetScore);
+      return true;
+    },
+
+    // ---------- Cards ----------
+    createDeck(decks = 1) {
+      const deck = [];
+      for (let copy = 0; copy < decks; copy++) {
+        for (const suit of RULES.CARD_SUITS) {
+          for (const rank of RULES.CARD_RANKS) {
+            deck.push({ rank, suit });
+          }
+        }
+      }
+      return this.shuffle(deck);
+    },
+
+    shuffle(array) {
+      const shuffled = [...array];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return shuffled;
+    },
+
+    isCard(card) {
+      return !!card &&
+        typeof card === 'object' &&
+        RULES.CARD_RANKS.includes(card.rank) &&
+        RULES.CARD_SUITS.includes(card.suit);
+    },
+
+    sameCard(a, b) {
+      return !!a && !!b && a.rank === b.rank && a.suit === b.suit;
+    },
+
+    getCardValue(rank) {
+      return RULES.RANK_VALUES[rank];
+    },
+
+    isRed(suit) {
+      return suit === '♥' || suit === '♦';
+    },
+
+    isPileIndex(index) {
+      return Number.isInteger(index) && index >= 0 && index < RULES.PILE_COUNT;
+    },
+
+    canPlaceOnPile(piles, card, pileIndex, variant = DEFAULT_VARIANT) {
+      // Can't place on center pile (draw pile)
+      if (pileIndex === RULES.DRAW_PILE) return false;
+
+      const pile = piles[pileIndex];
+      if (!pile) return false;
+      const isCorner = RULES.CORNER_POSITIONS.includes(pileIndex);
+
+      // Empty pile rules
+      if (pile.length === 0) {
+        // Corners: ONLY Kings allowed, unless the room says otherwise
+        if (isCorner) {
+          return variant.anyCardOnCorner || card.rank === 'K';
+        }
+        // Foundation piles: Any card EXCEPT Kings
+        return card.rank !== 'K';
+      }
+
+      // Non-empty pile rules
+      const topCard = pile[pile.length - 1];
+      const cardValue = this.getCardValue(card.rank);
+      const topValue = this.getCardValue(topCard.rank);
+
+      // Kings can only be placed in empty corners, not on other cards
+      if (card.rank === 'K') return false;
+
+      // Must be one rank lower
+      if (cardValue !== topValue - 1) return false;
+
+      // Must alternate colors
+      return this.isRed(card.suit) !== this.isRed(topCard.suit);
+    },
+
+    // A pile can move if its bottom card can legally play on the destination
+    canMovePile(piles, fromPileIndex, toPileIndex, variant = DEFAULT_VARIANT) {
+      if (!variant.pileMoves) return false;
+      if (fromPileIndex === toPileIndex) return false;
+      if (fromPileIndex === RULES.DRAW_PILE || toPileIndex === RULES.DRAW_PILE) return false;
+
+      const fromPile = piles[fromPileIndex];
+      if (!fromPile || fromPile.length === 0) return false;
+
+      return this.canPlaceOnPile(piles, fromPile[0], toPileIndex, variant);
+    },
+
+    /**
+     * Every useful move on this board for the given hand. Pile moves onto
+     * empty piles are left out: they only shuffle a pile to a new spot.
+     */
+    getLegalMoves(piles, hand, variant = DEFAULT_VARIANT) {
+      const moves = [];
+
+      hand.forEach(card => {
+        for (let pile = 0; pile < RULES.PILE_COUNT; pile++) {
+          if (this.canPlaceOnPile(piles, card, pile, variant)) {
+            moves.push({ type: 'play', card, pile });
+          }
+        }
+      });
+
+      for (let from = 0; from < RULES.PILE_COUNT; from++) {
+        for (let to = 0; to < RULES.PILE_COUNT; to++) {
+          if (piles[to] && piles[to].length > 0 && this.canMovePile(piles, from, to, variant)) {
+            moves.push({ type: 'movePile', from, to });
+          }
+        }
+      }
+
+      return moves;
+    },
+
+    // ---------- Computer Opponents ----------
+    BOT_LEVELS: ['easy', 'medium', 'hard'],
+
+    /**
+     * Pick the next action for a computer-controlled seat. Bots only look
+     * at their own hand and the public board, and return one action at a
+     * time so each goes through the same validation as a human's.
+     */
+    chooseBotAction(game, player, level = 'medium', random = Math.random) {
+      if (this.mustDraw(game) || this.mustDrawAgain(game, player)) return { type: 'draw' };
+
+      const moves = this.getLegalMoves(game.piles, game.playerHands[player], this.getVariant(game));
+      const strategy = BOT_STRATEGIES[level] || BOT_STRATEGIES.medium;
+      const move = moves.length > 0 ? strategy(moves, game.piles, random) : null;
+
+      return move || { type: 'endTurn' };
+    },
+
+    // ---------- Game State ----------
+    createGame(deck, activePlayers, variant = DEFAULT_VARIANT, firstPlayer = 0) {
+      const game = {
+        deck: [...deck],
+        piles: [[], [], [], [], [], [], [], [], []],
+        playerHands: [],
+        activePlayers,
+        currentPlayer: firstPlayer % activePlayers,
+        hasDrawn: false,
+        hasPlayed: false,
+        turnMoves: [],
+        passes: 0, // Turns in a row that ended without a move once the deck ran out
+        departed: [],
+        winner: null,
+        stalemate: false,
+        variant: this.normalizeVariant(variant)
+      };
+
+      for (let p = 0; p < activePlayers; p++) game.playerHands.push([]);
+
+      RULES.FOUNDATION_POSITIONS.forEach(pos => {
+        if (game.deck.length > 0) {
+          game.piles[pos].push(game.deck.pop());
+        }
+      });
+
+      for (let i = 0; i < game.variant.handSize; i++) {
+        for (let p = 0; p < activePlayers; p++) {
+          if (game.deck.length > 0) {
+            game.playerHands[p].push(game.deck.pop());
+          }
+        }
+      }
+
+      return game;
+    },
+
+    /**
+     * What one seat is allowed to know: the public board, every hand's
+     * size, and only its own cards. Pass null for a seat-less view.
+     */
+    getPlayerView(game, player) {
+      return {
+        piles: game.piles.map(pile => [...pile]),
+        hand: player !== null && game.playerHands[player] ? [...game.playerHands[player]] : [],
+        handCounts: game.playerHands.map(hand => hand.length),
+        deckCount: game.deck.length,
+        activePlayers: game.activePlayers,
+        currentPlayer: game.currentPlayer,
+        hasDrawn: game.hasDrawn,
+        hasPlayed: game.hasPlayed,
+        undoable: (game.turnMoves || []).length,
+        departed: [...game.departed],
+        winner: game.winner,
+        stalemate: !!game.stalemate,
+        variant: { ...this.getVariant(game) }
+      };
+    },
+
+    /**
+     * A short fingerprint of the public board: piles, hand sizes, deck
+     * size and whose turn it is. Every seat and spectator sees the same
+     * value, so the server sends it with each action and clients compare
+     * it against their own copy to notice when they have drifted. Takes a
+     * view or the client's state.game, which share these field names.
+     */
+    hashView({ piles, handCounts, deckCount, currentPlayer, hasDrawn, hasPlayed }) {
+      const text = [
+        piles.map(pile => pile.map(card => card.rank + card.suit).join(',')).join('|'),
+        handCounts.join(','),
+        deckCount,
+        currentPlayer,
+        hasDrawn ? 1 : 0,
+        hasPlayed ? 1 : 0
+      ].join(';');
+
+      // 32-bit FNV-1a
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Under "draw until you can play" a player who has drawn but still has
+     * no card to play must keep drawing, and can't end the turn, until
+     * they do or the deck runs out. The client passes its own view here,
+     * so only hand, piles and a deck count are needed.
+     */
+    needsAnotherDraw(variant, piles, hand, { hasDrawn, hasPlayed, deckCount }) {
+      if (!variant.drawUntilPlayable || !hasDrawn || hasPlayed || deckCount === 0) return false;
+      return !this.getLegalMoves(piles, hand, variant).some(move => move.type === 'play');
+    },
+
+    mustDrawAgain(game, player) {
+      return this.needsAnotherDraw(this.getVariant(game), game.piles, game.playerHands[player], {
+        hasDrawn: game.hasDrawn,
+        hasPlayed: game.hasPlayed,
+        deckCount: game.deck.length
+      });
+    },
+
+    // Every turn starts with a draw, until the deck is empty: from then on
+    // players may play straight away or pass
+    mustDraw(game) {
+      return !game.hasDrawn && game.deck.length > 0;
+    },
+
+    nextPlayer(game, fromPlayer = game.currentPlayer) {
+      for (let step = 1; step <= game.activePlayers; step++) {
+        const candidate = (fromPlayer + step) % game.activePlayers;
+        if (!game.departed.includes(candidate)) return candidate;
+      }
+      return fromPlayer;
+    },
+
+    /**
+     * Validate and apply one action for the given seat.
+     * Returns { error } when the action is illegal (state untouched), or
+     * { action, card?, winner? } where `action` is the normalized public
+     * action to broadcast and `card` is the card drawn by a draw.
+     */
+    applyAction(game, player, action) {
+      if (!action || typeof action !== 'object') return { error: 'Malformed action' };
+      if (game.winner !== null) return { error: 'The game is over' };
+      if (!Number.isInteger(player) || player < 0 || player >= game.activePlayers) {
+        return { error: 'You are not seated in this game' };
+      }
+      if (game.currentPlayer !== player) return { error: 'Not your turn!' };
+
+      switch (action.type) {
+        case 'draw':
+          return this.applyDraw(game, player);
+        case 'play':
+          return this.applyPlay(game, player, action.card, action.pile);
+        case 'movePile':
+          return this.applyMovePile(game, player, action.from, action.to);
+        case 'endTurn':
+          return this.applyEndTurn(game, player);
+        case 'undo':
+          return this.applyUndo(game, player);
+        default:
+          return { error: `Unknown action: ${action.type}` };
+      }
+    },
+
+    applyDraw(game, player) {
+      if (game.hasDrawn && !this.mustDrawAgain(game, player)) return { error: 'You already drew this turn' };
+      if (game.deck.length === 0) return { error: 'Deck is empty!' };
+
+      const card = game.deck.pop();
+      game.playerHands[player].push(card);
+      game.hasDrawn = true;
+
+      return { action: { type: 'draw', player }, card };
+    },
+
+    applyPlay(game, player, card, pileIndex) {
+      if (this.mustDraw(game)) return { error: 'Draw a card first!' };
+      if (!this.isCard(card) || !this.isPileIndex(pileIndex)) return { error: 'Malformed action' };
+
+      const hand = game.playerHands[player];
+      const idx = hand.findIndex(c => this.sameCard(c, card));
+      if (idx === -1) return { error: 'That card is not in your hand' };
+
+      if (!this.canPlaceOnPile(game.piles, card, pileIndex, this.getVariant(game))) {
+        return { error: 'Invalid move!', penalize: true };
+      }
+
+      const [played] = hand.splice(idx, 1);
+      game.piles[pileIndex].push(played);
+      game.hasPlayed = true;
+      this.rememberMove(game, { type: 'play', card: played, pile: pileIndex, index: idx });
+
+      const result = { action: { type: 'play', player, card: played, pile: pileIndex } };
+      if (hand.length === 0) {
+        game.winner = player;
+        result.winner = player;
+      }
+      return result;
+    },
+
+    applyMovePile(game, player, fromPileIndex, toPileIndex) {
+      if (this.mustDraw(game)) return { error: 'Draw a card first!' };
+      if (!this.isPileIndex(fromPileIndex) || !this.isPileIndex(toPileIndex)) return { error: 'Malformed action' };
+      if (!this.getVariant(game).pileMoves) return { error: 'Pile moves are off in this room' };
+      if (!this.canMovePile(game.piles, fromPileIndex, toPileIndex, this.getVariant(game))) {
+        return { error: 'Invalid pile move!', penalize: true };
+      }
+
+      const count = game.piles[fromPileIndex].length;
+      game.piles[toPileIndex].push(...game.piles[fromPileIndex]);
+      game.piles[fromPileIndex] = [];
+      game.hasPlayed = true;
+      this.rememberMove(game, { type: 'movePile', from: fromPileIndex, to: toPileIndex, count });
+
+      return { action: { type: 'movePile', player, from: fromPileIndex, to: toPileIndex } };
+    },
+
+    applyEndTurn(game, player) {
+      if (this.mustDraw(game)) return { error: 'Draw a card first!' };
+      if (this.mustDrawAgain(game, player)) return { error: 'Keep drawing until you can play!' };
+
+      this.countPass(game);
+      game.currentPlayer = this.nextPlayer(game, player);
+      game.hasDrawn = false;
+      game.hasPlayed = false;
+      game.turnMoves = [];
+
+      return { action: { type: 'endTurn', player, nextPlayer: game.currentPlayer } };
+    },
+
+    // Games from before undo existed have no turnMoves yet
+    rememberMove(game, move) {
+      if (!game.turnMoves) game.turnMoves = [];
+      game.turnMoves.push(move);
+    },
+
+    /**
+     * Take back the latest play or pile move of the current turn. Draws
+     * and penalty cards stay. The broadcast action carries the undone
+     * move so every table rolls back the same way. For a play, `index`
+     * (where the card goes back into the hand) comes back beside the
+     * action, like a drawn card: only the player may see it.
+     */
+    applyUndo(game, player) {
+      if (!this.getVariant(game).undo) return { error: 'Undo is off in this room' };
+
+      const move = game.turnMoves?.pop();
+      if (!move) return { error: 'Nothing to undo this turn' };
+
+      game.hasPlayed = game.turnMoves.length > 0;
+      if (move.type === 'movePile') {
+        game.piles[move.from] = game.piles[move.to].splice(-move.count);
+        return { action: { type: 'undo', player, move } };
+      }
+
+      const { index, ...shown } = move;
+      game.piles[move.pile].pop();
+      game.playerHands[player].splice(index, 0, move.card);
+      return { action: { type: 'undo', player, move: shown }, index };
+    },
+
+    countPass(game) {
+      game.passes = game.deck.length === 0 && !game.hasPlayed ? (game.passes || 0) + 1 : 0;
+    },
+
+    /**
+     * When applyAction rejects a move with `penalize` set and the room
+     * plays with penalty draws, the caller applies this separately so a
+     * rejected action still never changes state by itself. Returns null
+     * when there is no penalty to give.
+     */
+    applyPenalty(game, player) {
+      if (!this.getVariant(game).penaltyDraw || game.deck.length === 0) return null;
+
+      const card = game.deck.pop();
+      game.playerHands[player].push(card);
+      return { action: { type: 'penalty', player }, card };
+    },
+
+    /**
+     * End the current turn without the usual checks, used when the turn
+     * clock runs out. Only the server calls this; it is deliberately not
+     * reachable through applyAction.
+     */
+    forceEndTurn(game) {
+      const player = game.currentPlayer;
+      this.countPass(game);
+      game.currentPlayer = this.nextPlayer(game, player);
+      game.hasDrawn = false;
+      game.hasPlayed = false;
+      game.turnMoves = [];
+
+      return { type: 'timeout', player, nextPlayer: game.currentPlayer };
+    },
+
+    /**
+     * Take a seat out of the turn order. If it was their turn, the turn
+     * passes on and the resulting endTurn action is returned so it can be
+     * broadcast; otherwise returns null.
+     */
+    removePlayer(game, player) {
+      if (game.departed.includes(player)) return null;
+      game.departed.push(player);
+
+      if (game.winner !== null || game.currentPlayer !== player) return null;
+
+      game.currentPlayer = this.nextPlayer(game, player);
+      game.hasDrawn = false;
+      game.hasPlayed = false;
+      game.turnMoves = [];
+      return { type: 'endTurn', player, nextPlayer: game.currentPlayer };
+    },
+
+    // ---------- Stalemates ----------
+
+    /**
+     * Seats from best to worst when a game ends without anyone going out:
+     * fewest cards first, then fewest penalty points. Departed seats
+     * always come last.
+     */
+    rankPlayers(game) {
+      const seats = [...Array(game.activePlayers).keys()];
+      const still = seats.filter(seat => !game.departed.includes(seat));
+      still.sort((a, b) => (
+        game.playerHands[a].length - game.playerHands[b].length ||
+        this.scoreHand(game.playerHands[a]) - this.scoreHand(game.playerHands[b]) ||
+        a - b
+      ));
+      return [...still, ...game.departed];
+    },
+
+    /**
+     * With the deck gone the game is stuck once nobody left at the table
+     * has a play or pile move, or once everyone has passed in a row.
+     */
+    isStalemate(game) {
+      if (game.winner !== null || game.deck.length > 0) return false;
+
+      const seats = [...Array(game.activePlayers).keys()].filter(seat => !game.departed.includes(seat));
+      if ((game.passes || 0) >= seats.length) return true;
+
+      const variant = this.getVariant(game);
+      return seats.every(seat => this.getLegalMoves(game.piles, game.playerHands[seat], variant).length === 0);
+    },
+
+    /**
+     * End a stuck game and return the stalemate action to broadcast, or
+     * null if the game can still go on. Like forceEndTurn this is only
+     * reached from the server (and replays), never through applyAction.
+     */
+    endStalemate(game) {
+      if (!this.isStalemate(game)) return null;
+
+      const ranking = this.rankPlayers(game);
+      game.winner = ranking[0];
+      game.stalemate = true;
+      return {
+        type: 'stalemate',
+        winner: game.winner,
+        ranking,
+        handCounts: game.playerHands.map(hand => hand.length)
+      };
+    },
+
+    // ---------- Game Logs ----------
+
+    /**
+     * Start a log for a freshly dealt game. `meta` is copied in as-is
+     * (id, players, roomId...). Draw entries must carry the drawn card
+     * and seats that leave are recorded as { type: 'leave', player }.
+     */
+    createLog(game, meta = {}) {
+      return {
+        format: LOG_FORMAT,
+        version: LOG_VERSION,
+        ...meta,
+        startedAt: Date.now(),
+        endedAt: null,
+        deal: JSON.parse(JSON.stringify(game)),
+        actions: [],
+        winner: null
+      };
+    },
+
+    recordAction(log, action) {
+      log.actions.push({ t: Date.now() - log.startedAt, action });
+    },
+
+    finishLog(log, winner) {
+      log.endedAt = Date.now();
+      log.winner = winner;
+      return log;
+    },
+
+    // Returns a reason the log can't be replayed, or null if it can
+    validateLog(log) {
+      if (!log || log.format !== LOG_FORMAT) return 'Not a King in the Corner game log';
+      if (!Number.isInteger(log.version) || log.version > LOG_VERSION) {
+        return `Unsupported game log version: ${log.version}`;
+      }
+      if (!log.deal || !Array.isArray(log.deal.deck) || !Array.isArray(log.actions)) {
+        return 'The game log is incomplete';
+      }
+      return null;
+    },
+
+    // Rebuild the game as it stood after the first `steps` logged actions
+    replayLog(log, steps = log.actions.length) {
+      const game = JSON.parse(JSON.stringify(log.deal));
+      log.actions.slice(0, steps).forEach(({ action }) => this.applyLoggedAction(game, action));
+      return game;
+    },
+
+    applyLoggedAction(game, action) {
+      switch (action.type) {
+        case 'timeout':
+          return this.forceEndTurn(game);
+        case 'leave':
+          return this.removePlayer(game, action.player);
+        case 'penalty':
+          return this.applyPenalty(game, action.player);
+        case 'stalemate':
+          return this.endStalemate(game);
+        default:
+          return this.applyAction(game, action.player, action);
+      }
+    }
+  };
+
+  return engine;
+});
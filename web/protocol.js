@@ -0,0 +1,384 @@
+/**
+ * King in the Corner - Wire Protocol
+ *
+ * Every message the browser and the server exchange, in both directions,
+ * described as a small field schema. The server validates everything it
+ * receives against CLIENT_MESSAGES and answers bad input with an `error`
+ * message carrying one of the ERROR_CODES. Like the rules engine this file
+ * is shared: Node requires it, the browser gets window.KingProtocol.
+ *
+ * Field specs:
+ * - type: 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array' | 'any'
+ * - optional: the field may be missing; nullable: it may be null
+ * - maxLength (strings), min/max (numbers), values (allowed values)
+ * - fields (objects, unknown keys are rejected), items and maxItems (arrays)
+ *
+ * Bump VERSION whenever a message changes shape. Clients send it in a
+ * `hello` before any other request, and both sides refuse to talk across
+ * a mismatch so a stale cached page asks for a refresh.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.KingProtocol = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // 1 is the page from before this schema, which never says hello; the
+  // server refuses its requests and closes the socket
+  const VERSION = 2;
+  const MIN_VERSION = 2; // Oldest client version the server still accepts
+
+  const LIMITS = {
+    MAX_MESSAGE_BYTES: 8192,
+    NAME_MAX_LENGTH: 20,
+    ROOM_ID_MAX_LENGTH: 8,
+    CHAT_MAX_LENGTH: 200,
+    PASSWORD_MAX_LENGTH: 32,
+    ANNOUNCEMENT_MAX_LENGTH: 300
+  };
+
+  // Shown to the player as-is when the server doesn't give a better message
+  const ERROR_CODES = {
+    BAD_JSON: 'The server could not read that message',
+    MESSAGE_TOO_LARGE: 'That message is too large',
+    UNKNOWN_TYPE: 'The server does not understand that request',
+    INVALID_MESSAGE: 'That request was not valid',
+    UNSUPPORTED_VERSION: 'A new version of the game is available - please refresh the page',
+    RATE_LIMITED: 'You are sending messages too quickly - slow down',
+    ROOM_LIMIT: 'You are creating rooms too quickly - try again in a minute',
+    TOO_MANY_CONNECTIONS: 'Too many connections from your network',
+    BANNED: 'You have been temporarily blocked for sending too many bad requests',
+    SERVER_DRAINING: 'The server is restarting soon - new games are paused',
+    ROOM_LOCKED: 'The host has locked this room',
+    WRONG_PASSWORD: 'That room password is not right',
+    GAME_IN_PROGRESS: 'That game has already started - try watching it instead'
+  };
+
+  // ==================== FIELD TYPES ====================
+  const str = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+  const int = (min, max, extra = {}) => ({ type: 'integer', min, max, ...extra });
+  const optional = spec => ({ ...spec, optional: true });
+  const nullable = spec => ({ ...spec, nullable: true });
+
+  const SEAT = int(0, 3);
+  const NAME = str(LIMITS.NAME_MAX_LENGTH);
+  const ROOM_ID = str(LIMITS.ROOM_ID_MAX_LENGTH);
+  const PLAYER_ID = str(64);
+  const REASON = str(200);
+  const PASSWORD = str(LIMITS.PASSWORD_MAX_LENGTH);
+
+  const CARD = {
+    type: 'object',
+    fields: {
+      rank: str(2),
+      suit: str(2)
+    }
+  };
+
+  const ACTION = {
+    type: 'object',
+    fields: {
+      type: str(16, { values: ['draw', 'play', 'movePile', 'endTurn', 'undo'] }),
+      player: optional(SEAT),
+      nextPlayer: optional(SEAT),
+      card: optional(CARD),
+      pile: optional(int(0, 8)),
+      from: optional(int(0, 8)),
+      to: optional(int(0, 8))
+    }
+  };
+
+  const VARIANT = {
+    type: 'object',
+    fields: {
+      handSize: optional(int(1, 20)),
+      decks: optional(int(1, 4)),
+      drawUntilPlayable: optional({ type: 'boolean' }),
+      penaltyDraw: optional({ type: 'boolean' }),
+      anyCardOnCorner: optional({ type: 'boolean' }),
+      pileMoves: optional({ type: 'boolean' }),
+      undo: optional({ type: 'boolean' })
+    }
+  };
+
+  const MATCH = {
+    type: 'object',
+    fields: {
+      mode: optional(str(16, { values: ['single', 'rounds', 'target'] })),
+      rounds: optional(int(1, 100)),
+      targetScore: optional(int(1, 10000)),
+      kingPoints: optional(int(0, 100)),
+      cardPoints: optional(int(0, 100))
+    }
+  };
+
+  // Most in-room requests also carry the room code the client thinks it's in
+  const IN_ROOM = { roomId: optional(nullable(ROOM_ID)) };
+
+  // ==================== CLIENT -> SERVER ====================
+  const CLIENT_MESSAGES = {
+    hello: { protocolVersion: int(0, 1000000) },
+    joinPublic: {
+      displayName: optional(NAME),
+      playerId: optional(nullable(PLAYER_ID)),
+      tableSize: optional(nullable(int(2, 4))) // null: any size
+    },
+    leaveQueue: {},
+    createPrivate: {
+      roomId: optional(ROOM_ID),
+      displayName: optional(NAME),
+      playerId: optional(nullable(PLAYER_ID)),
+      turnSeconds: optional(nullable({ type: 'number', min: 0, max: 3600 })),
+      timeoutPolicy: optional(str(16)),
+      variant: optional(VARIANT),
+      match: optional(MATCH)
+    },
+    joinPrivate: {
+      roomId: ROOM_ID,
+      displayName: optional(NAME),
+      playerId: optional(nullable(PLAYER_ID)),
+      password: optional(nullable(PASSWORD))
+    },
+    spectate: {
+      roomId: ROOM_ID,
+      displayName: optional(nullable(NAME))
+    },
+    resume: { token: str(64) },
+    addBot: { level: optional(str(16)) },
+    removeBot: { playerIndex: SEAT },
+    gameAction: { action: ACTION },
+    takeControl: {},
+    resync: { reason: REASON, seq: optional(nullable({ type: 'integer' })) },
+    chat: {
+      text: optional(str(LIMITS.CHAT_MAX_LENGTH)),
+      emote: optional(str(16))
+    },
+    setVariant: { variant: VARIANT },
+    setMatch: { match: MATCH },
+    mutePlayer: { playerIndex: SEAT, muted: { type: 'boolean' } },
+    kickPlayer: { playerIndex: SEAT },
+    transferHost: { playerIndex: SEAT },
+    setRoomLock: { locked: { type: 'boolean' } },
+    setRoomPassword: { password: nullable(PASSWORD) },
+    moveSeat: { playerIndex: SEAT, toIndex: SEAT },
+    playerReady: IN_ROOM,
+    startGame: IN_ROOM,
+    rematchVote: IN_ROOM,
+    leaveRoom: IN_ROOM
+  };
+
+  // ==================== SERVER -> CLIENT ====================
+  // Nested game data (views, logs, match summaries) is described in
+  // engine.js; here it is only checked to be an object
+  const VIEW = { type: 'object' };
+  const PLAYER_LIST = { type: 'array', items: { type: 'object' } };
+  const SEAT_LIST = { type: 'array', items: { type: 'integer' } };
+  const TURN_CLOCK = nullable({ type: 'object' });
+  const MATCH_SUMMARY = nullable({ type: 'object' });
+  const SEQ = { type: 'integer' }; // Game actions broadcast so far
+
+  const SERVER_MESSAGES = {
+    connected: { protocolVersion: { type: 'integer' }, minProtocolVersion: { type: 'integer' } },
+    error: {
+      code: str(32),
+      message: REASON,
+      requestType: optional(nullable(str(32))),
+      field: optional(nullable(str(64)))
+    },
+    session: { token: str(64), roomId: ROOM_ID },
+    queueUpdate: {
+      position: { type: 'integer' },
+      queueSize: { type: 'integer' },
+      tableSize: nullable(int(2, 4)),
+      waitedMs: { type: 'integer' },
+      estimatedWaitMs: { type: 'integer' }
+    },
+    queueLeft: {},
+    roomCreated: { roomId: ROOM_ID },
+    roomInvalid: { roomId: ROOM_ID },
+    roomFull: { roomId: ROOM_ID },
+    roomUpdate: {
+      roomId: ROOM_ID,
+      players: PLAYER_LIST,
+      myPlayerIndex: SEAT,
+      isPrivate: { type: 'boolean' },
+      isHost: { type: 'boolean' },
+      locked: { type: 'boolean' },
+      hasPassword: { type: 'boolean' },
+      minPlayers: { type: 'integer' },
+      spectatorCount: { type: 'integer' },
+      variant: { type: 'object' },
+      match: { type: 'object' }
+    },
+    countdown: { countdown: { type: 'integer' } },
+    countdownCancelled: {},
+    gameStart: {
+      roomId: ROOM_ID,
+      players: PLAYER_LIST,
+      myPlayerIndex: int(-1, 3),
+      view: VIEW,
+      seq: SEQ,
+      match: MATCH_SUMMARY
+    },
+    spectateStart: {
+      roomId: ROOM_ID,
+      gameStarted: { type: 'boolean' },
+      players: PLAYER_LIST,
+      myPlayerIndex: int(-1, -1),
+      view: nullable(VIEW),
+      seq: SEQ,
+      reconnecting: SEAT_LIST,
+      autopilot: SEAT_LIST,
+      turnTimer: TURN_CLOCK,
+      spectatorCount: { type: 'integer' },
+      match: MATCH_SUMMARY
+    },
+    resumed: {
+      roomId: ROOM_ID,
+      players: PLAYER_LIST,
+      myPlayerIndex: SEAT,
+      view: VIEW,
+      seq: SEQ,
+      reconnecting: SEAT_LIST,
+      autopilot: SEAT_LIST,
+      turnTimer: TURN_CLOCK,
+      match: MATCH_SUMMARY
+    },
+    resumeFailed: { reason: REASON },
+    // hash: engine.hashView of the board after the action
+    gameAction: { action: { type: 'object' }, seq: SEQ, hash: str(16) },
+    resync: { view: VIEW, seq: SEQ },
+    actionRejected: { action: optional({ type: 'any' }), reason: REASON },
+    turnTimer: { player: SEAT, durationMs: { type: 'integer' }, remainingMs: { type: 'integer' } },
+    autopilot: { playerIndex: SEAT, enabled: { type: 'boolean' } },
+    playerReconnecting: { playerIndex: SEAT, graceMs: { type: 'integer' } },
+    playerReconnected: { playerIndex: SEAT },
+    playerLeft: { playerIndex: SEAT, playersRemaining: { type: 'integer' } },
+    playerDisconnected: { playersRemaining: { type: 'integer' } },
+    kicked: { reason: REASON },
+    spectators: { count: { type: 'integer' } },
+    chat: {
+      from: { type: 'string' },
+      playerIndex: int(-1, 3),
+      spectator: { type: 'boolean' },
+      text: { type: 'string' },
+      emote: nullable(str(16))
+    },
+    chatRejected: { reason: REASON },
+    playerMuted: { playerIndex: SEAT, muted: { type: 'boolean' } },
+    hostChanged: { playerIndex: nullable(SEAT), name: { type: 'string' }, isHost: { type: 'boolean' } },
+    gameRecord: { gameId: str(64), log: { type: 'object' } },
+    roundEnd: { match: { type: 'object' }, nextRoundMs: { type: 'integer' } },
+    matchEnd: { match: { type: 'object' } },
+    rematchUpdate: {
+      roomId: ROOM_ID,
+      players: PLAYER_LIST,
+      remainingMs: { type: 'integer' }, // Left to vote before non-voters are dropped
+      openSeats: { type: 'integer' }
+    },
+    rematchStart: {},
+    announcement: { text: str(LIMITS.ANNOUNCEMENT_MAX_LENGTH) },
+    serverDraining: { remainingMs: { type: 'integer' } },
+    serverShutdown: { resumable: optional({ type: 'boolean' }) }
+  };
+
+  // ==================== VALIDATION ====================
+  const typeOf = value => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  };
+
+  // Returns a description of the first problem with a value, or null
+  function checkValue(spec, value, field) {
+    if (value === undefined) return spec.optional ? null : { field, message: `${field} is required` };
+    if (value === null) return spec.nullable ? null : { field, message: `${field} must not be null` };
+
+    const actual = typeOf(value);
+    const matches = spec.type === 'any' ||
+      actual === spec.type ||
+      (spec.type === 'number' && actual === 'integer');
+    if (!matches || (spec.type === 'number' && !Number.isFinite(value))) {
+      return { field, message: `${field} must be ${spec.type === 'integer' ? 'an' : 'a'} ${spec.type}` };
+    }
+
+    if (spec.values && !spec.values.includes(value)) return { field, message: `${field} is not an allowed value` };
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      return { field, message: `${field} is longer than ${spec.maxLength} characters` };
+    }
+    if (spec.min !== undefined && value < spec.min) return { field, message: `${field} is below ${spec.min}` };
+    if (spec.max !== undefined && value > spec.max) return { field, message: `${field} is above ${spec.max}` };
+
+    if (spec.type === 'object' && spec.fields) return checkFields(spec.fields, value, `${field}.`);
+    if (spec.type === 'array') {
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        return { field, message: `${field} has more than ${spec.maxItems} items` };
+      }
+      if (spec.items) {
+        for (let i = 0; i < value.length; i++) {
+          const problem = checkValue(spec.items, value[i], `${field}[${i}]`);
+          if (problem) return problem;
+        }
+      }
+    }
+    return null;
+  }
+
+  function checkFields(fields, object, prefix = '', allowed = []) {
+    for (const key of Object.keys(object)) {
+      if (!Object.prototype.hasOwnProperty.call(fields, key) && !allowed.includes(key)) {
+        return { field: `${prefix}${key}`, message: `${prefix}${key} is not a known field` };
+      }
+    }
+    for (const [key, spec] of Object.entries(fields)) {
+      const problem = checkValue(spec, object[key], `${prefix}${key}`);
+      if (problem) return problem;
+    }
+    return null;
+  }
+
+  // ==================== PROTOCOL ====================
+  const protocol = {
+    VERSION,
+    MIN_VERSION,
+    LIMITS,
+    ERROR_CODES,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+
+    /**
+     * Check a parsed message against the schema for one direction
+     * ('client' for messages the server receives, 'server' for ones it
+     * sends). Returns null when valid, otherwise { code, message, field }.
+     */
+    validate(direction, data) {
+      const schemas = direction === 'server' ? SERVER_MESSAGES : CLIENT_MESSAGES;
+      if (typeOf(data) !== 'object') {
+        return { code: 'INVALID_MESSAGE', message: 'Messages must be JSON objects', field: null };
+      }
+      if (typeof data.type !== 'string' || !Object.prototype.hasOwnProperty.call(schemas, data.type)) {
+        return { code: 'UNKNOWN_TYPE', message: ERROR_CODES.UNKNOWN_TYPE, field: 'type' };
+      }
+
+      const problem = checkFields(schemas[data.type], data, '', ['type']);
+      return problem ? { code: 'INVALID_MESSAGE', ...problem } : null;
+    },
+
+    // Build an `error` reply for a code, with an optional better message
+    error(code, details = {}) {
+      return {
+        type: 'error',
+        code,
+        message: details.message || ERROR_CODES[code] || ERROR_CODES.INVALID_MESSAGE,
+        requestType: details.requestType || null,
+        field: details.field || null
+      };
+    }
+  };
+
+  return protocol;
+});